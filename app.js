@@ -1,545 +1,7455 @@
+// Tokenizer and recursive-descent parser used by the SimpleSQL engine
+class SQLParseError extends Error {
+    constructor(message, sql, position) {
+        const { line, column } = SQLParseError.locate(sql, position);
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'SQLParseError';
+        this.position = position;
+        this.line = line;
+        this.column = column;
+    }
+
+    static locate(sql, position) {
+        const lines = sql.slice(0, position).split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+}
+
+class SQLLexer {
+    static tokenize(sql) {
+        const tokens = [];
+        const word = /[\p{L}_][\p{L}\p{N}_$]*/uy;
+        const number = /(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/y;
+        let i = 0;
+
+        while (i < sql.length) {
+            const char = sql[i];
+            const start = i;
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comments
+            if (char === '-' && sql[i + 1] === '-') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+                continue;
+            }
+            if (char === '/' && sql[i + 1] === '*') {
+                const end = sql.indexOf('*/', i + 2);
+                if (end === -1) throw new SQLParseError('Unterminated comment', sql, start);
+                i = end + 2;
+                continue;
+            }
+
+            // 'string' literals and "quoted" identifiers, with doubled quotes as escapes
+            if (char === "'" || char === '"') {
+                let value = '';
+                i++;
+                while (true) {
+                    if (i >= sql.length) {
+                        throw new SQLParseError(char === "'" ? 'Unterminated string literal' : 'Unterminated quoted identifier', sql, start);
+                    }
+                    if (sql[i] === char) {
+                        if (sql[i + 1] === char) {
+                            value += char;
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    value += sql[i++];
+                }
+                tokens.push({ type: char === "'" ? 'string' : 'identifier', value, start, end: i });
+                continue;
+            }
+
+            number.lastIndex = i;
+            const numberMatch = /[0-9.]/.test(char) && number.exec(sql);
+            if (numberMatch) {
+                i += numberMatch[0].length;
+                tokens.push({ type: 'number', value: Number(numberMatch[0]), start, end: i });
+                continue;
+            }
+
+            word.lastIndex = i;
+            const wordMatch = word.exec(sql);
+            if (wordMatch) {
+                i += wordMatch[0].length;
+                tokens.push({ type: 'word', value: wordMatch[0], start, end: i });
+                continue;
+            }
+
+            const twoChar = sql.slice(i, i + 2);
+            if (['<=', '>=', '<>', '!=', '==', '||', '::'].includes(twoChar)) {
+                i += 2;
+                tokens.push({ type: 'symbol', value: twoChar, start, end: i });
+                continue;
+            }
+            if ('(),;.*+-/%=<>[]'.includes(char)) {
+                i++;
+                tokens.push({ type: 'symbol', value: char, start, end: i });
+                continue;
+            }
+
+            throw new SQLParseError(`Unexpected character "${char}"`, sql, start);
+        }
+
+        tokens.push({ type: 'eof', value: '', start: sql.length, end: sql.length });
+        return tokens;
+    }
+}
+
+// Words that end an expression or clause, so they can't be used as bare aliases
+const SQL_RESERVED_WORDS = new Set([
+    'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT', 'ELSE', 'END',
+    'EXCEPT', 'FALSE', 'FROM', 'FULL', 'GROUP', 'HAVING', 'ILIKE', 'IN', 'INNER', 'INTERSECT', 'INTO',
+    'IS', 'JOIN', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER',
+    'OUTER', 'QUALIFY', 'RIGHT', 'SELECT', 'SET', 'THEN', 'TRUE', 'UNION', 'USING', 'VALUES', 'WHEN',
+    'WHERE', 'WINDOW'
+]);
+
+class SQLParser {
+    constructor(sql) {
+        this.sql = sql;
+        this.tokens = SQLLexer.tokenize(sql);
+        this.pos = 0;
+    }
+
+    // Parses exactly one statement, with an optional trailing semicolon
+    static parse(sql) {
+        const parser = new SQLParser(sql);
+        const statement = parser.parseStatement();
+        parser.matchSymbol(';');
+        if (parser.peek().type !== 'eof') {
+            throw parser.error('Syntax error');
+        }
+        return statement;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    isKeyword(keyword, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'word' && token.value.toUpperCase() === keyword;
+    }
+
+    matchKeyword(keyword) {
+        if (!this.isKeyword(keyword)) return false;
+        this.next();
+        return true;
+    }
+
+    expectKeyword(keyword) {
+        if (!this.matchKeyword(keyword)) throw this.error(`Expected ${keyword}`);
+    }
+
+    isSymbol(symbol, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'symbol' && token.value === symbol;
+    }
+
+    matchSymbol(symbol) {
+        if (!this.isSymbol(symbol)) return false;
+        this.next();
+        return true;
+    }
+
+    expectSymbol(symbol) {
+        if (!this.matchSymbol(symbol)) throw this.error(`Expected "${symbol}"`);
+    }
+
+    isIdentifier(offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'identifier' || (token.type === 'word' && !SQL_RESERVED_WORDS.has(token.value.toUpperCase()));
+    }
+
+    parseIdentifier(what = 'identifier') {
+        if (!this.isIdentifier()) throw this.error(`Expected ${what}`);
+        return this.next().value;
+    }
+
+    error(message, token = this.peek()) {
+        const found = token.type === 'eof' ? 'end of input' : `"${this.sql.slice(token.start, token.end)}"`;
+        return new SQLParseError(`${message} near ${found}`, this.sql, token.start);
+    }
+
+    parseStatement() {
+        const token = this.peek();
+        const keyword = token.type === 'word' ? token.value.toUpperCase() : null;
+
+        switch (keyword) {
+            case 'SELECT': return this.parseSelect();
+            case 'CREATE': return this.parseCreateTable();
+            case 'INSERT': return this.parseInsert();
+            case 'UPDATE': return this.parseUpdate();
+            case 'DELETE': return this.parseDelete();
+            case 'ALTER': return this.parseAlterTable();
+            case 'DROP': return this.parseDropTable();
+            case 'BEGIN':
+            case 'START':
+            case 'COMMIT':
+            case 'END':
+            case 'ROLLBACK':
+            case 'ABORT':
+                return this.parseTransaction();
+            default:
+                throw new Error(`Unsupported query type. This simple SQL engine supports: CREATE TABLE, INSERT INTO, SELECT, UPDATE, DELETE, ALTER TABLE, DROP TABLE, BEGIN/COMMIT/ROLLBACK
+
+For advanced DuckDB features, please use the full DuckDB WASM version.`);
+        }
+    }
+
+    parseSelect() {
+        this.expectKeyword('SELECT');
+        const select = {
+            type: 'select',
+            distinct: false,
+            columns: [],
+            from: null,
+            joins: [],
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: null
+        };
+
+        if (this.matchKeyword('DISTINCT')) {
+            select.distinct = true;
+        } else {
+            this.matchKeyword('ALL');
+        }
+
+        do {
+            select.columns.push(this.parseSelectItem());
+        } while (this.matchSymbol(','));
+
+        if (this.matchKeyword('FROM')) {
+            select.from = this.parseTableRef();
+            select.joins = this.parseJoins();
+        }
+        if (this.matchKeyword('WHERE')) select.where = this.parseExpression();
+
+        if (this.matchKeyword('GROUP')) {
+            this.expectKeyword('BY');
+            do {
+                select.groupBy.push(this.parseExpression());
+            } while (this.matchSymbol(','));
+        }
+        if (this.matchKeyword('HAVING')) select.having = this.parseExpression();
+
+        if (this.matchKeyword('ORDER')) {
+            this.expectKeyword('BY');
+            do {
+                select.orderBy.push(this.parseOrderItem());
+            } while (this.matchSymbol(','));
+        }
+
+        if (this.matchKeyword('LIMIT')) select.limit = this.parseExpression();
+        if (this.matchKeyword('OFFSET')) select.offset = this.parseExpression();
+
+        return select;
+    }
+
+    parseOrderItem() {
+        const item = { expr: this.parseExpression(), descending: false, nullsFirst: false };
+
+        if (this.matchKeyword('DESC')) {
+            item.descending = true;
+        } else {
+            this.matchKeyword('ASC');
+        }
+
+        // DuckDB sorts NULLs last in both directions unless told otherwise
+        if (this.matchKeyword('NULLS')) {
+            if (this.matchKeyword('FIRST')) {
+                item.nullsFirst = true;
+            } else {
+                this.expectKeyword('LAST');
+            }
+        }
+
+        return item;
+    }
+
+    parseSelectItem() {
+        if (this.matchSymbol('*')) return { star: true, table: null };
+        if (this.isIdentifier() && this.isSymbol('.', 1) && this.isSymbol('*', 2)) {
+            const table = this.next().value;
+            this.next();
+            this.next();
+            return { star: true, table };
+        }
+
+        const start = this.peek().start;
+        const expr = this.parseExpression();
+        const text = this.sql.slice(start, this.tokens[this.pos - 1].end);
+
+        let alias = null;
+        if (this.matchKeyword('AS')) {
+            alias = this.parseIdentifier('column alias');
+        } else if (this.isIdentifier()) {
+            alias = this.next().value;
+        }
+
+        return { expr, alias, text };
+    }
+
+    parseJoins() {
+        const joins = [];
+
+        while (true) {
+            // FROM a, b is shorthand for a CROSS JOIN
+            if (this.matchSymbol(',')) {
+                joins.push({ kind: 'cross', table: this.parseTableRef(), on: null, using: null });
+                continue;
+            }
+
+            let kind;
+            if (this.matchKeyword('CROSS')) {
+                kind = 'cross';
+            } else if (this.matchKeyword('INNER') || this.isKeyword('JOIN')) {
+                kind = 'inner';
+            } else if (this.isKeyword('LEFT') || this.isKeyword('RIGHT') || this.isKeyword('FULL')) {
+                kind = this.next().value.toLowerCase();
+                this.matchKeyword('OUTER');
+            } else {
+                break;
+            }
+            this.expectKeyword('JOIN');
+
+            const join = { kind, table: this.parseTableRef(), on: null, using: null };
+            if (kind !== 'cross') {
+                if (this.matchKeyword('ON')) {
+                    join.on = this.parseExpression();
+                } else if (this.matchKeyword('USING')) {
+                    join.using = [];
+                    this.expectSymbol('(');
+                    do {
+                        join.using.push(this.parseIdentifier('column name'));
+                    } while (this.matchSymbol(','));
+                    this.expectSymbol(')');
+                } else {
+                    throw this.error('Expected ON or USING');
+                }
+            }
+            joins.push(join);
+        }
+
+        return joins;
+    }
+
+    parseTableRef() {
+        const token = this.peek();
+        if (token.type === 'string' || this.isSymbol('(', 1)) {
+            // Table functions and file paths need the real DuckDB engine
+            throw new Error(`Advanced SELECT queries (like reading from URLs or using functions) are not supported in the local SQL engine. 
+            
+Supported format: SELECT [DISTINCT] columns FROM table_name [[LEFT|RIGHT|FULL|CROSS] JOIN ...] [WHERE ...] [GROUP BY ... [HAVING ...]] [ORDER BY ...] [LIMIT n [OFFSET m]]
+            
+For advanced DuckDB features like:
+• SELECT * FROM 'https://example.com/file.parquet'
+• read_csv_auto('https://example.com/file.csv')
+
+Please use the full DuckDB WASM version instead of this local engine.`);
+        }
+
+        const name = this.parseTableName();
+        let alias = null;
+        if (this.matchKeyword('AS')) {
+            alias = this.parseIdentifier('table alias');
+        } else if (this.isIdentifier()) {
+            alias = this.next().value;
+        }
+
+        return { name, alias };
+    }
+
+    parseTableName() {
+        const name = this.parseIdentifier('table name');
+        // Only the default schema exists, so "main.users" is the same as "users"
+        if (this.matchSymbol('.')) return this.parseIdentifier('table name');
+        return name;
+    }
+
+    parseCreateTable() {
+        this.expectKeyword('CREATE');
+        let orReplace = false;
+        if (this.matchKeyword('OR')) {
+            this.expectKeyword('REPLACE');
+            orReplace = true;
+        }
+        this.expectKeyword('TABLE');
+
+        let ifNotExists = false;
+        if (this.matchKeyword('IF')) {
+            this.expectKeyword('NOT');
+            this.expectKeyword('EXISTS');
+            ifNotExists = true;
+        }
+
+        const name = this.parseTableName();
+        const columns = [];
+        const constraints = [];
+        this.expectSymbol('(');
+        do {
+            const constraint = this.parseTableConstraint();
+            if (constraint) {
+                constraints.push(constraint);
+            } else {
+                columns.push(this.parseColumnDefinition());
+            }
+        } while (this.matchSymbol(','));
+        this.expectSymbol(')');
+
+        return { type: 'create_table', name, columns, constraints, orReplace, ifNotExists };
+    }
+
+    // Table-level PRIMARY KEY (a, b) / UNIQUE (a); returns null when the next item is a column
+    parseTableConstraint() {
+        if (this.isKeyword('CONSTRAINT')) {
+            this.next();
+            this.parseIdentifier('constraint name');
+        } else if (!this.isKeyword('PRIMARY') && !(this.isKeyword('UNIQUE') && this.isSymbol('(', 1))) {
+            return null;
+        }
+
+        let primary = false;
+        if (this.matchKeyword('PRIMARY')) {
+            this.expectKeyword('KEY');
+            primary = true;
+        } else {
+            this.expectKeyword('UNIQUE');
+        }
+
+        const columns = [];
+        this.expectSymbol('(');
+        do {
+            columns.push(this.parseIdentifier('column name'));
+        } while (this.matchSymbol(','));
+        this.expectSymbol(')');
+
+        return { primary, columns };
+    }
+
+    parseColumnDefinition() {
+        const column = {
+            name: this.parseIdentifier('column name'),
+            type: this.parseTypeName(),
+            notNull: false,
+            primaryKey: false,
+            unique: false,
+            default: null
+        };
+
+        while (true) {
+            if (this.matchKeyword('NOT')) {
+                this.expectKeyword('NULL');
+                column.notNull = true;
+            } else if (this.matchKeyword('NULL')) {
+                // Nullable is the default
+            } else if (this.matchKeyword('PRIMARY')) {
+                this.expectKeyword('KEY');
+                column.primaryKey = true;
+            } else if (this.matchKeyword('UNIQUE')) {
+                column.unique = true;
+            } else if (this.matchKeyword('DEFAULT')) {
+                column.default = this.parseAdditive();
+            } else {
+                break;
+            }
+        }
+
+        return column;
+    }
+
+    parseTypeName() {
+        if (this.peek().type !== 'word') throw this.error('Expected column type');
+
+        const constraintWords = ['NOT', 'NULL', 'PRIMARY', 'DEFAULT', 'UNIQUE', 'CHECK', 'REFERENCES', 'CONSTRAINT', 'COLLATE'];
+        const words = [this.next().value.toUpperCase()];
+        while (this.peek().type === 'word' && !constraintWords.includes(this.peek().value.toUpperCase())) {
+            words.push(this.next().value.toUpperCase());
+        }
+
+        let type = words.join(' ');
+        if (this.matchSymbol('(')) {
+            const params = [];
+            do {
+                const token = this.next();
+                if (token.type !== 'number') throw this.error('Expected type parameter', token);
+                params.push(token.value);
+            } while (this.matchSymbol(','));
+            this.expectSymbol(')');
+            type += `(${params.join(',')})`;
+        }
+        while (this.isSymbol('[') && this.isSymbol(']', 1)) {
+            this.next();
+            this.next();
+            type += '[]';
+        }
+
+        return type;
+    }
+
+    parseInsert() {
+        this.expectKeyword('INSERT');
+        this.expectKeyword('INTO');
+        const insert = { type: 'insert', table: this.parseTableName(), columns: null, rows: null, select: null };
+
+        if (this.matchSymbol('(')) {
+            insert.columns = [];
+            do {
+                insert.columns.push(this.parseIdentifier('column name'));
+            } while (this.matchSymbol(','));
+            this.expectSymbol(')');
+        }
+
+        if (this.isKeyword('SELECT')) {
+            insert.select = this.parseSelect();
+            return insert;
+        }
+
+        this.expectKeyword('VALUES');
+        insert.rows = [];
+        do {
+            const row = [];
+            this.expectSymbol('(');
+            do {
+                // A bare DEFAULT takes the column's declared default
+                if (this.isKeyword('DEFAULT') && (this.isSymbol(',', 1) || this.isSymbol(')', 1))) {
+                    this.next();
+                    row.push({ type: 'default' });
+                } else {
+                    row.push(this.parseExpression());
+                }
+            } while (this.matchSymbol(','));
+            this.expectSymbol(')');
+            insert.rows.push(row);
+        } while (this.matchSymbol(','));
+
+        return insert;
+    }
+
+    parseUpdate() {
+        this.expectKeyword('UPDATE');
+        const update = { type: 'update', table: this.parseTableName(), alias: null, assignments: [], where: null };
+
+        if (this.matchKeyword('AS')) {
+            update.alias = this.parseIdentifier('table alias');
+        } else if (this.isIdentifier()) {
+            update.alias = this.next().value;
+        }
+
+        this.expectKeyword('SET');
+        do {
+            const column = this.parseIdentifier('column name');
+            this.expectSymbol('=');
+            update.assignments.push({ column, expr: this.parseExpression() });
+        } while (this.matchSymbol(','));
+
+        if (this.matchKeyword('WHERE')) update.where = this.parseExpression();
+        return update;
+    }
+
+    parseDelete() {
+        this.expectKeyword('DELETE');
+        this.expectKeyword('FROM');
+        const del = { type: 'delete', table: this.parseTableName(), alias: null, where: null };
+
+        if (this.matchKeyword('AS')) {
+            del.alias = this.parseIdentifier('table alias');
+        } else if (this.isIdentifier()) {
+            del.alias = this.next().value;
+        }
+
+        if (this.matchKeyword('WHERE')) del.where = this.parseExpression();
+        return del;
+    }
+
+    parseAlterTable() {
+        this.expectKeyword('ALTER');
+        this.expectKeyword('TABLE');
+        const alter = { type: 'alter_table', table: this.parseTableName() };
+
+        if (this.matchKeyword('ADD')) {
+            this.matchKeyword('COLUMN');
+            alter.action = 'add_column';
+            alter.definition = this.parseColumnDefinition();
+        } else if (this.matchKeyword('DROP')) {
+            this.matchKeyword('COLUMN');
+            alter.action = 'drop_column';
+            alter.column = this.parseIdentifier('column name');
+        } else if (this.matchKeyword('RENAME')) {
+            if (this.matchKeyword('TO')) {
+                alter.action = 'rename_table';
+            } else {
+                this.matchKeyword('COLUMN');
+                alter.action = 'rename_column';
+                alter.column = this.parseIdentifier('column name');
+                this.expectKeyword('TO');
+            }
+            alter.newName = this.parseIdentifier('new name');
+        } else if (this.matchKeyword('ALTER')) {
+            this.matchKeyword('COLUMN');
+            alter.column = this.parseIdentifier('column name');
+
+            if (this.matchKeyword('TYPE')) {
+                alter.action = 'set_type';
+                alter.dataType = this.parseTypeName();
+            } else if (this.matchKeyword('SET')) {
+                if (this.matchKeyword('DATA')) {
+                    this.expectKeyword('TYPE');
+                    alter.action = 'set_type';
+                    alter.dataType = this.parseTypeName();
+                } else if (this.matchKeyword('DEFAULT')) {
+                    alter.action = 'set_default';
+                    alter.default = this.parseAdditive();
+                } else {
+                    this.expectKeyword('NOT');
+                    this.expectKeyword('NULL');
+                    alter.action = 'set_not_null';
+                }
+            } else if (this.matchKeyword('DROP')) {
+                if (this.matchKeyword('DEFAULT')) {
+                    alter.action = 'drop_default';
+                } else {
+                    this.expectKeyword('NOT');
+                    this.expectKeyword('NULL');
+                    alter.action = 'drop_not_null';
+                }
+            } else {
+                throw this.error('Expected TYPE, SET or DROP');
+            }
+        } else {
+            throw this.error('Expected ADD, DROP, RENAME or ALTER');
+        }
+
+        return alter;
+    }
+
+    parseTransaction() {
+        const keyword = this.next().value.toUpperCase();
+        if (keyword === 'START') this.expectKeyword('TRANSACTION');
+        if (!this.matchKeyword('TRANSACTION')) this.matchKeyword('WORK');
+
+        const type = { BEGIN: 'begin', START: 'begin', COMMIT: 'commit', END: 'commit', ROLLBACK: 'rollback', ABORT: 'rollback' }[keyword];
+        return { type };
+    }
+
+    parseDropTable() {
+        this.expectKeyword('DROP');
+        this.expectKeyword('TABLE');
+
+        let ifExists = false;
+        if (this.matchKeyword('IF')) {
+            this.expectKeyword('EXISTS');
+            ifExists = true;
+        }
+
+        return { type: 'drop_table', name: this.parseTableName(), ifExists };
+    }
+
+    // Expressions, lowest precedence first: OR, AND, NOT, comparisons, + - ||, * / %, unary
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.matchKeyword('OR')) {
+            left = { type: 'binary', op: 'OR', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.matchKeyword('AND')) {
+            left = { type: 'binary', op: 'AND', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.matchKeyword('NOT')) {
+            return { type: 'unary', op: 'NOT', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+
+        if (token.type === 'symbol' && ['=', '==', '<>', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+            this.next();
+            const op = token.value === '==' ? '=' : token.value === '!=' ? '<>' : token.value;
+            return { type: 'binary', op, left, right: this.parseAdditive() };
+        }
+
+        if (this.matchKeyword('IS')) {
+            const not = this.matchKeyword('NOT');
+            this.expectKeyword('NULL');
+            return { type: 'is_null', expr: left, not };
+        }
+
+        const not = this.isKeyword('NOT') && ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].some(word => this.isKeyword(word, 1));
+        if (not) this.next();
+
+        if (this.matchKeyword('IN')) {
+            const list = [];
+            this.expectSymbol('(');
+            if (this.isKeyword('SELECT')) throw this.error('Subqueries are not supported');
+            do {
+                list.push(this.parseExpression());
+            } while (this.matchSymbol(','));
+            this.expectSymbol(')');
+            return { type: 'in', expr: left, list, not };
+        }
+
+        if (this.matchKeyword('BETWEEN')) {
+            const low = this.parseAdditive();
+            this.expectKeyword('AND');
+            return { type: 'between', expr: left, low, high: this.parseAdditive(), not };
+        }
+
+        if (this.isKeyword('LIKE') || this.isKeyword('ILIKE')) {
+            const caseInsensitive = this.next().value.toUpperCase() === 'ILIKE';
+            return { type: 'like', expr: left, pattern: this.parseAdditive(), not, caseInsensitive };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isSymbol('+') || this.isSymbol('-') || this.isSymbol('||')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isSymbol('*') || this.isSymbol('/') || this.isSymbol('%')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isSymbol('-') || this.isSymbol('+')) {
+            const op = this.next().value;
+            const operand = this.parseUnary();
+            if (operand.type === 'literal' && typeof operand.value === 'number') {
+                return { type: 'literal', value: op === '-' ? -operand.value : operand.value };
+            }
+            return { type: 'unary', op, operand };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return { type: 'literal', value: token.value };
+        }
+
+        if (this.matchSymbol('(')) {
+            if (this.isKeyword('SELECT')) throw this.error('Subqueries are not supported');
+            const expr = this.parseExpression();
+            this.expectSymbol(')');
+            return expr;
+        }
+
+        if (token.type === 'word') {
+            const keyword = token.value.toUpperCase();
+            if (keyword === 'NULL' || keyword === 'TRUE' || keyword === 'FALSE') {
+                this.next();
+                return { type: 'literal', value: keyword === 'NULL' ? null : keyword === 'TRUE' };
+            }
+            // DATE '2024-01-01' style typed literals are kept as strings
+            if ((keyword === 'DATE' || keyword === 'TIMESTAMP') && this.peek(1).type === 'string') {
+                this.next();
+                return { type: 'literal', value: this.next().value };
+            }
+            if (this.isSymbol('(', 1)) return this.parseFunctionCall();
+        }
+
+        if (this.isIdentifier()) {
+            const position = token.start;
+            const first = this.next().value;
+            if (this.matchSymbol('.')) {
+                return { type: 'column', table: first, name: this.parseIdentifier('column name'), position };
+            }
+            return { type: 'column', table: null, name: first, position };
+        }
+
+        throw this.error('Expected expression');
+    }
+
+    parseFunctionCall() {
+        const token = this.next();
+        const call = { type: 'function', name: token.value.toUpperCase(), args: [], distinct: false, star: false, position: token.start };
+
+        this.expectSymbol('(');
+        if (this.matchSymbol('*')) {
+            call.star = true;
+        } else if (!this.isSymbol(')')) {
+            call.distinct = this.matchKeyword('DISTINCT');
+            do {
+                call.args.push(this.parseExpression());
+            } while (this.matchSymbol(','));
+        }
+        this.expectSymbol(')');
+
+        return call;
+    }
+}
+
 // Simple in-memory SQL engine for basic operations
 class SimpleSQL {
     constructor() {
-        this.tables = new Map();
+        this.tables = new Map();
+        this.transaction = null;
+    }
+
+    exec(query) {
+        const trimmed = query.trim().toLowerCase();
+        
+        if (trimmed.startsWith('read_csv_auto(') || trimmed.startsWith('read_parquet(')) {
+            // Handle DuckDB file reading functions
+            throw new Error(`File reading functions like read_csv_auto() and read_parquet() are not supported in the local SQL engine.
+
+For advanced DuckDB features like:
+• read_csv_auto('https://example.com/file.csv')  
+• read_parquet('https://example.com/file.parquet')
+
+Please use the full DuckDB WASM version instead of this local engine.
+
+To query a local CSV or JSON file here, drag it onto the worksheet (or use "Import File") to load it as a table.`);
+        }
+
+        // Like DuckDB, any error inside a transaction aborts it until ROLLBACK
+        try {
+            const statement = SQLParser.parse(query);
+            if (this.transaction && this.transaction.aborted && statement.type !== 'rollback' && statement.type !== 'commit') {
+                throw new Error('Current transaction is aborted (please ROLLBACK)');
+            }
+            return this.execute(statement);
+        } catch (error) {
+            if (this.transaction) this.transaction.aborted = true;
+            throw error;
+        }
+    }
+
+    execute(statement) {
+        switch (statement.type) {
+            case 'create_table': return this.createTable(statement);
+            case 'insert': return this.insertInto(statement);
+            case 'select': return this.select(statement);
+            case 'update': return this.update(statement);
+            case 'delete': return this.deleteFrom(statement);
+            case 'alter_table': return this.alterTable(statement);
+            case 'drop_table': return this.dropTable(statement);
+            case 'begin': return this.begin();
+            case 'commit': return this.commit();
+            case 'rollback': return this.rollback();
+            default: throw new Error(`Unsupported statement: ${statement.type}`);
+        }
+    }
+
+    // Returns the number of rows changed by INSERT/UPDATE/DELETE, or null for other statements
+    run(query) {
+        const [result] = this.exec(query);
+        return result && result.columns.length === 1 && result.columns[0] === 'Count' ? result.values[0][0] : null;
+    }
+
+    begin() {
+        if (this.transaction) {
+            throw new Error('Cannot start a transaction within a transaction');
+        }
+        this.transaction = { snapshot: this.snapshotTables(), aborted: false };
+        return [];
+    }
+
+    commit() {
+        if (!this.transaction) {
+            throw new Error('Cannot commit - no transaction is active');
+        }
+
+        const { aborted } = this.transaction;
+        if (aborted) this.tables = this.transaction.snapshot;
+        this.transaction = null;
+        if (aborted) {
+            throw new Error('Transaction was aborted by an earlier error and has been rolled back');
+        }
+        return [];
+    }
+
+    rollback() {
+        if (!this.transaction) {
+            throw new Error('Cannot rollback - no transaction is active');
+        }
+        this.tables = this.transaction.snapshot;
+        this.transaction = null;
+        return [];
+    }
+
+    get inTransaction() {
+        return this.transaction !== null;
+    }
+
+    // Statements never modify a row array in place (they copy or replace it), so a snapshot can
+    // share rows and only needs its own row lists, column definitions and keys
+    snapshotTables() {
+        const snapshot = new Map();
+        this.tables.forEach((table, name) => {
+            snapshot.set(name, {
+                columns: table.columns.map(col => ({ ...col })),
+                rows: table.rows.slice(),
+                keys: table.keys.map(key => ({ ...key, columns: key.columns.slice() }))
+            });
+        });
+        return snapshot;
+    }
+
+    // Committed tables in a structured-clone friendly form, for saving to IndexedDB
+    exportState() {
+        const tables = this.transaction ? this.transaction.snapshot : this.tables;
+        return { tables: Array.from(tables.entries()) };
+    }
+
+    importState(state) {
+        this.tables = new Map(state.tables);
+        this.transaction = null;
+        return this.tables.size;
+    }
+
+    // SQL script that recreates every committed table and its rows
+    dump() {
+        const statements = [];
+        const tables = this.transaction ? this.transaction.snapshot : this.tables;
+
+        tables.forEach((table, name) => {
+            const definitions = table.columns.map(col => {
+                let definition = `${SimpleSQL.identifierSql(col.name)} ${col.type}`;
+                if (col.notNull) definition += ' NOT NULL';
+                if (col.default) definition += ` DEFAULT ${SimpleSQL.literalSql(this.compile(col.default, [])([]))}`;
+                return definition;
+            });
+            table.keys.forEach(key => {
+                const columns = key.columns.map(index => SimpleSQL.identifierSql(table.columns[index].name)).join(', ');
+                definitions.push(`${key.primary ? 'PRIMARY KEY' : 'UNIQUE'} (${columns})`);
+            });
+            statements.push(`CREATE TABLE ${SimpleSQL.identifierSql(name)} (${definitions.join(', ')});`);
+
+            for (let i = 0; i < table.rows.length; i += 500) {
+                const values = table.rows.slice(i, i + 500)
+                    .map(row => `(${row.map(value => SimpleSQL.literalSql(value)).join(', ')})`)
+                    .join(',\n    ');
+                statements.push(`INSERT INTO ${SimpleSQL.identifierSql(name)} VALUES\n    ${values};`);
+            }
+        });
+
+        return statements.join('\n\n') + '\n';
+    }
+
+    getTable(name) {
+        const tableName = name.toLowerCase();
+        if (!this.tables.has(tableName)) {
+            throw new Error(`Table '${tableName}' does not exist`);
+        }
+        return this.tables.get(tableName);
+    }
+
+    columnIndex(table, name, tableName) {
+        const index = table.columns.findIndex(col => col.name.toLowerCase() === name.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Column '${name}' does not exist in table '${tableName}'`);
+        }
+        return index;
+    }
+
+    createTable(statement) {
+        const tableName = statement.name.toLowerCase();
+        
+        if (this.tables.has(tableName) && !statement.orReplace) {
+            if (statement.ifNotExists) return [];
+            throw new Error(`Table '${tableName}' already exists`);
+        }
+
+        const seen = new Set();
+        statement.columns.forEach(col => {
+            if (seen.has(col.name.toLowerCase())) {
+                throw new Error(`Column '${col.name}' is specified more than once`);
+            }
+            seen.add(col.name.toLowerCase());
+        });
+        
+        const table = {
+            columns: statement.columns.map(col => ({
+                name: col.name,
+                type: col.type,
+                notNull: col.notNull || col.primaryKey,
+                default: col.default
+            })),
+            rows: [],
+            keys: []
+        };
+
+        statement.columns.forEach((col, index) => {
+            if (col.primaryKey || col.unique) table.keys.push({ columns: [index], primary: col.primaryKey });
+        });
+        statement.constraints.forEach(constraint => {
+            const columns = constraint.columns.map(name => this.columnIndex(table, name, tableName));
+            if (constraint.primary) columns.forEach(index => { table.columns[index].notNull = true; });
+            table.keys.push({ columns, primary: constraint.primary });
+        });
+        if (table.keys.filter(key => key.primary).length > 1) {
+            throw new Error(`Table '${tableName}' has more than one primary key`);
+        }
+
+        // Check defaults now rather than on the first INSERT
+        table.columns.forEach(col => {
+            if (col.default) SimpleSQL.coerce(this.compile(col.default, [])([]), col.type);
+        });
+
+        this.tables.set(tableName, table);
+        return [];
+    }
+
+    loadTable(tableName, columns, rows) {
+        // Used by file import: columns are { name, type } and rows are already coerced
+        tableName = tableName.toLowerCase();
+        if (this.tables.has(tableName)) {
+            throw new Error(`Table '${tableName}' already exists`);
+        }
+
+        columns = columns.map(col => ({ name: col.name, type: col.type, notNull: false, default: null }));
+        this.tables.set(tableName, { columns, rows, keys: [] });
+        return rows.length;
+    }
+
+    insertInto(statement) {
+        const tableName = statement.table.toLowerCase();
+        const table = this.getTable(statement.table);
+        const targets = statement.columns
+            ? statement.columns.map(name => this.columnIndex(table, name, tableName))
+            : table.columns.map((col, index) => index);
+
+        if (new Set(targets).size !== targets.length) {
+            throw new Error('Column specified more than once in INSERT column list');
+        }
+
+        // Omitted columns and DEFAULT are left undefined here and filled in by completeRow
+        const inputs = statement.select
+            ? this.select(statement.select)[0].values
+            : statement.rows.map(exprs => exprs.map(expr => expr.type === 'default' ? undefined : this.compile(expr, [])([])));
+        
+        // Build and validate every row before touching the table so a bad row inserts nothing
+        const rows = inputs.map(values => {
+            if (values.length !== targets.length) {
+                throw new Error(`Column count mismatch. Expected ${targets.length}, got ${values.length}`);
+            }
+            const row = new Array(table.columns.length).fill(undefined);
+            targets.forEach((index, i) => {
+                row[index] = values[i];
+            });
+            return this.completeRow(table, tableName, row);
+        });
+
+        this.checkKeys(table, tableName, table.rows.concat(rows));
+        rows.forEach(row => table.rows.push(row));
+        return SimpleSQL.changes(rows.length);
+    }
+
+    update(statement) {
+        const tableName = statement.table.toLowerCase();
+        const table = this.getTable(statement.table);
+        const alias = (statement.alias || statement.table).toLowerCase();
+        const scope = table.columns.map(col => ({ table: alias, name: col.name }));
+
+        const predicate = statement.where ? this.compile(statement.where, scope) : () => true;
+        const assignments = statement.assignments.map(({ column, expr }) => ({
+            index: this.columnIndex(table, column, tableName),
+            value: this.compile(expr, scope)
+        }));
+
+        // Every SET expression sees the row as it was before the update
+        let count = 0;
+        const rows = table.rows.map(row => {
+            if (predicate(row) !== true) return row;
+            count++;
+            const updated = row.slice();
+            assignments.forEach(({ index, value }) => {
+                updated[index] = value(row);
+            });
+            return this.completeRow(table, tableName, updated);
+        });
+
+        if (count > 0) {
+            this.checkKeys(table, tableName, rows);
+            table.rows = rows;
+        }
+        return SimpleSQL.changes(count);
+    }
+
+    deleteFrom(statement) {
+        const table = this.getTable(statement.table);
+        const alias = (statement.alias || statement.table).toLowerCase();
+        const scope = table.columns.map(col => ({ table: alias, name: col.name }));
+
+        const predicate = statement.where ? this.compile(statement.where, scope) : () => true;
+        const kept = table.rows.filter(row => predicate(row) !== true);
+        const count = table.rows.length - kept.length;
+
+        table.rows = kept;
+        return SimpleSQL.changes(count);
+    }
+
+    alterTable(statement) {
+        const tableName = statement.table.toLowerCase();
+        const table = this.getTable(statement.table);
+        const index = statement.column !== undefined ? this.columnIndex(table, statement.column, tableName) : -1;
+        const column = table.columns[index];
+
+        switch (statement.action) {
+            case 'add_column': {
+                const def = statement.definition;
+                if (table.columns.some(col => col.name.toLowerCase() === def.name.toLowerCase())) {
+                    throw new Error(`Column '${def.name}' already exists in table '${tableName}'`);
+                }
+                if (def.primaryKey || def.unique) {
+                    throw new Error('Adding columns with PRIMARY KEY or UNIQUE constraints is not supported');
+                }
+
+                const added = { name: def.name, type: def.type, notNull: def.notNull, default: def.default };
+                const value = SimpleSQL.coerce(added.default ? this.compile(added.default, [])([]) : null, added.type);
+                if (value === null && added.notNull && table.rows.length > 0) {
+                    throw new Error(`NOT NULL constraint failed: ${tableName}.${added.name}`);
+                }
+
+                table.columns.push(added);
+                table.rows = table.rows.map(row => [...row, value]);
+                break;
+            }
+            case 'drop_column': {
+                if (table.keys.some(key => key.columns.includes(index))) {
+                    throw new Error(`Cannot drop column '${column.name}' because it is part of a key constraint`);
+                }
+                if (table.columns.length === 1) {
+                    throw new Error(`Cannot drop the only column of table '${tableName}'`);
+                }
+
+                table.columns.splice(index, 1);
+                table.rows = table.rows.map(row => row.filter((value, i) => i !== index));
+                table.keys.forEach(key => {
+                    key.columns = key.columns.map(i => i > index ? i - 1 : i);
+                });
+                break;
+            }
+            case 'rename_column':
+                if (table.columns.some(col => col.name.toLowerCase() === statement.newName.toLowerCase())) {
+                    throw new Error(`Column '${statement.newName}' already exists in table '${tableName}'`);
+                }
+                column.name = statement.newName;
+                break;
+            case 'rename_table': {
+                const newName = statement.newName.toLowerCase();
+                if (this.tables.has(newName)) {
+                    throw new Error(`Table '${newName}' already exists`);
+                }
+                this.tables.delete(tableName);
+                this.tables.set(newName, table);
+                break;
+            }
+            case 'set_type': {
+                // Convert every value first so a failed conversion leaves the column untouched
+                const rows = table.rows.map(row => {
+                    const converted = row.slice();
+                    converted[index] = SimpleSQL.coerce(row[index], statement.dataType);
+                    return converted;
+                });
+                column.type = statement.dataType;
+                table.rows = rows;
+                break;
+            }
+            case 'set_default':
+                SimpleSQL.coerce(this.compile(statement.default, [])([]), column.type);
+                column.default = statement.default;
+                break;
+            case 'drop_default':
+                column.default = null;
+                break;
+            case 'set_not_null':
+                if (table.rows.some(row => row[index] === null)) {
+                    throw new Error(`NOT NULL constraint failed: ${tableName}.${column.name}`);
+                }
+                column.notNull = true;
+                break;
+            case 'drop_not_null':
+                if (table.keys.some(key => key.primary && key.columns.includes(index))) {
+                    throw new Error(`Cannot drop NOT NULL from primary key column '${column.name}'`);
+                }
+                column.notNull = false;
+                break;
+            default:
+                throw new Error(`Unsupported ALTER TABLE action: ${statement.action}`);
+        }
+
+        return [];
+    }
+
+    // Fills in defaults for undefined slots, converts to the declared types and checks NOT NULL
+    completeRow(table, tableName, row) {
+        return row.map((value, index) => {
+            const col = table.columns[index];
+            if (value === undefined) {
+                value = col.default ? this.compile(col.default, [])([]) : null;
+            }
+            value = SimpleSQL.coerce(value, col.type);
+            if (value === null && col.notNull) {
+                throw new Error(`NOT NULL constraint failed: ${tableName}.${col.name}`);
+            }
+            return value;
+        });
+    }
+
+    checkKeys(table, tableName, rows) {
+        table.keys.forEach(key => {
+            const seen = new Set();
+            rows.forEach(row => {
+                const values = key.columns.map(index => row[index]);
+                if (values.includes(null)) return;
+
+                const hash = SimpleSQL.rowKey(values);
+                if (seen.has(hash)) {
+                    const description = key.columns.map((index, i) => `${table.columns[index].name}: ${values[i]}`).join(', ');
+                    throw new Error(`Duplicate key "${description}" violates ${key.primary ? 'primary key' : 'unique'} constraint on table '${tableName}'`);
+                }
+                seen.add(hash);
+            });
+        });
+    }
+
+    select(statement) {
+        const source = this.resolveFrom(statement);
+        const scope = source.scope;
+        let rows = source.rows;
+        
+        // Apply WHERE clause; only rows where the predicate is TRUE (not NULL) pass
+        if (statement.where) {
+            const predicate = this.compile(statement.where, scope);
+            rows = rows.filter(row => predicate(row) === true);
+        }
+
+        const items = this.expandSelectItems(statement, scope);
+        const isAggregate = statement.groupBy.length > 0 ||
+            statement.having !== null ||
+            items.some(item => SimpleSQL.containsAggregate(item.expr)) ||
+            statement.orderBy.some(order => SimpleSQL.containsAggregate(order.expr));
+
+        // Aggregate queries are evaluated over one row per group: [group values..., aggregate values...]
+        let compileOutput = expr => this.compile(expr, scope);
+        let aggregation = null;
+        if (isAggregate) {
+            const groupExprs = statement.groupBy.map(expr => this.resolveGroupExpression(expr, items, scope));
+            aggregation = this.planAggregation(groupExprs, scope);
+            compileOutput = expr => this.compile(aggregation.rewrite(expr), []);
+        }
+
+        const projections = items.map(item => compileOutput(item.expr));
+        const having = statement.having && compileOutput(statement.having);
+        const sortKeys = statement.orderBy.map(order => this.compileSortKey(order, items, compileOutput));
+
+        if (aggregation) {
+            rows = aggregation.aggregate(rows);
+        }
+        if (having) {
+            rows = rows.filter(row => having(row) === true);
+        }
+
+        let records = rows.map(row => {
+            const values = projections.map(project => project(row));
+            return { values, keys: sortKeys.map(key => key(row, values)) };
+        });
+
+        if (statement.distinct) {
+            const seen = new Set();
+            records = records.filter(record => {
+                const key = SimpleSQL.rowKey(record.values);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (sortKeys.length > 0) {
+            records.sort((a, b) => {
+                for (let i = 0; i < sortKeys.length; i++) {
+                    const x = a.keys[i];
+                    const y = b.keys[i];
+                    if (x === y) continue;
+
+                    const { descending, nullsFirst } = statement.orderBy[i];
+                    if (x === null) return nullsFirst ? -1 : 1;
+                    if (y === null) return nullsFirst ? 1 : -1;
+
+                    const comparison = SimpleSQL.compare(x, y);
+                    if (comparison !== 0) return descending ? -comparison : comparison;
+                }
+                return 0;
+            });
+        }
+
+        const offset = statement.offset ? this.evaluateCount(statement.offset, 'OFFSET') : 0;
+        const limit = statement.limit ? this.evaluateCount(statement.limit, 'LIMIT') : Infinity;
+        if (offset > 0 || limit < records.length) {
+            records = records.slice(offset, offset + limit);
+        }
+
+        return [{ columns: items.map(item => item.name), values: records.map(record => record.values) }];
+    }
+
+    // Scope entries describe the columns of the (joined) rows: { table: alias, name, hidden }
+    resolveFrom(statement) {
+        if (!statement.from) return { scope: [], rows: [[]] };
+
+        let source = this.scanTable(statement.from);
+        const aliases = new Set([source.alias]);
+
+        statement.joins.forEach(join => {
+            const right = this.scanTable(join.table);
+            if (aliases.has(right.alias)) {
+                throw new Error(`Duplicate table alias '${right.alias}'; give each table in the FROM clause a distinct alias`);
+            }
+            aliases.add(right.alias);
+            source = this.joinTables(source, right, join);
+        });
+
+        return source;
+    }
+
+    scanTable(ref) {
+        const table = this.getTable(ref.name);
+        const alias = (ref.alias || ref.name).toLowerCase();
+        return {
+            alias,
+            scope: table.columns.map(col => ({ table: alias, name: col.name })),
+            rows: table.rows
+        };
+    }
+
+    joinTables(left, right, join) {
+        const leftWidth = left.scope.length;
+        const scope = left.scope.concat(right.scope.map(col => ({ ...col })));
+        const leftKeys = [];
+        const rightKeys = [];
+        const residual = [];
+        const usingPairs = [];
+
+        if (join.using) {
+            // USING columns appear once: the right-hand copy is only reachable when qualified
+            join.using.forEach(name => {
+                const leftIndex = this.resolveColumn({ name }, left.scope);
+                const rightIndex = this.resolveColumn({ name }, right.scope);
+                usingPairs.push([leftIndex, rightIndex]);
+                leftKeys.push(row => row[leftIndex]);
+                rightKeys.push(row => row[rightIndex]);
+                scope[leftWidth + rightIndex].hidden = true;
+            });
+        } else if (join.on) {
+            // Equality terms between the two sides become hash keys; anything else is checked per match
+            SimpleSQL.conjuncts(join.on).forEach(term => {
+                if (term.type === 'binary' && term.op === '=') {
+                    const leftSide = this.expressionSide(term.left, left.scope, right.scope);
+                    const rightSide = this.expressionSide(term.right, left.scope, right.scope);
+                    if (leftSide === 'left' && rightSide === 'right') {
+                        leftKeys.push(this.compile(term.left, left.scope));
+                        rightKeys.push(this.compile(term.right, right.scope));
+                        return;
+                    }
+                    if (leftSide === 'right' && rightSide === 'left') {
+                        leftKeys.push(this.compile(term.right, left.scope));
+                        rightKeys.push(this.compile(term.left, right.scope));
+                        return;
+                    }
+                }
+                residual.push(term);
+            });
+        }
+
+        const condition = residual.length > 0
+            ? this.compile(residual.reduce((a, b) => ({ type: 'binary', op: 'AND', left: a, right: b })), scope)
+            : null;
+
+        // Build a hash table over the right side; NULL keys never match
+        let candidates;
+        let rightKeyValues;
+        if (leftKeys.length > 0) {
+            const index = new Map();
+            rightKeyValues = right.rows.map((row, i) => {
+                const values = rightKeys.map(key => key(row));
+                if (!values.includes(null)) {
+                    const hash = SimpleSQL.hashKey(values);
+                    if (!index.has(hash)) index.set(hash, []);
+                    index.get(hash).push(i);
+                }
+                return values;
+            });
+            candidates = values => values.includes(null) ? [] : (index.get(SimpleSQL.hashKey(values)) || []);
+        } else {
+            const all = right.rows.map((row, i) => i);
+            candidates = () => all;
+        }
+
+        const leftNulls = new Array(leftWidth).fill(null);
+        const rightNulls = new Array(right.scope.length).fill(null);
+        const rightMatched = new Uint8Array(right.rows.length);
+        const rows = [];
+
+        left.rows.forEach(leftRow => {
+            const keyValues = leftKeys.map(key => key(leftRow));
+            let matched = false;
+
+            for (const i of candidates(keyValues)) {
+                // Hash keys are normalised, so confirm with SQL comparison semantics
+                if (keyValues.some((value, k) => SimpleSQL.compare(value, rightKeyValues[i][k]) !== 0)) continue;
+
+                const row = leftRow.concat(right.rows[i]);
+                if (condition && condition(row) !== true) continue;
+
+                matched = true;
+                rightMatched[i] = 1;
+                rows.push(row);
+            }
+
+            if (!matched && (join.kind === 'left' || join.kind === 'full')) {
+                rows.push(leftRow.concat(rightNulls));
+            }
+        });
+
+        if (join.kind === 'right' || join.kind === 'full') {
+            right.rows.forEach((rightRow, i) => {
+                if (rightMatched[i]) return;
+                const padded = leftNulls.slice();
+                usingPairs.forEach(([leftIndex, rightIndex]) => {
+                    padded[leftIndex] = rightRow[rightIndex];
+                });
+                rows.push(padded.concat(rightRow));
+            });
+        }
+
+        return { scope, rows };
+    }
+
+    // Which side of a join an expression reads from: 'left', 'right', or null for both/neither
+    expressionSide(expr, leftScope, rightScope) {
+        const refs = SimpleSQL.columnRefs(expr);
+        if (refs.length === 0) return null;
+
+        if (refs.every(ref => this.matchColumns(ref, leftScope).length === 1 && this.matchColumns(ref, rightScope).length === 0)) {
+            return 'left';
+        }
+        if (refs.every(ref => this.matchColumns(ref, rightScope).length === 1 && this.matchColumns(ref, leftScope).length === 0)) {
+            return 'right';
+        }
+        return null;
+    }
+
+    // Expands * and t.* into column references so every select item is an expression
+    expandSelectItems(statement, scope) {
+        const items = [];
+
+        statement.columns.forEach(item => {
+            if (item.star) {
+                if (!statement.from) throw new Error('SELECT * requires a FROM clause');
+
+                const table = item.table && item.table.toLowerCase();
+                const matched = scope.filter(col => table ? col.table === table : !col.hidden);
+                if (matched.length === 0) throw new Error(`Table '${item.table}' not found in FROM clause`);
+
+                matched.forEach(col => {
+                    items.push({ expr: { type: 'column', table: col.table, name: col.name }, alias: null, name: col.name });
+                });
+            } else {
+                const name = item.alias || (item.expr.type === 'column' ? item.expr.name : item.text);
+                items.push({ expr: item.expr, alias: item.alias, name });
+            }
+        });
+
+        return items;
+    }
+
+    // GROUP BY accepts select-list ordinals (GROUP BY 1) and aliases as well as expressions
+    resolveGroupExpression(expr, items, scope) {
+        if (expr.type === 'literal' && Number.isInteger(expr.value)) {
+            if (expr.value < 1 || expr.value > items.length) {
+                throw new Error(`GROUP BY term out of range - should be between 1 and ${items.length}`);
+            }
+            return items[expr.value - 1].expr;
+        }
+
+        if (expr.type === 'column' && !expr.table && !scope.some(col => col.name.toLowerCase() === expr.name.toLowerCase())) {
+            const aliased = items.find(item => item.alias && item.alias.toLowerCase() === expr.name.toLowerCase());
+            if (aliased) return aliased.expr;
+        }
+
+        return expr;
+    }
+
+    planAggregation(groupExprs, scope) {
+        const groupKeys = groupExprs.map(expr => this.expressionKey(expr, scope));
+        const groupFns = groupExprs.map(expr => this.compile(expr, scope));
+        const aggregates = [];
+
+        // Replaces GROUP BY expressions and aggregate calls with references into the grouped row
+        const rewrite = expr => {
+            const key = this.expressionKey(expr, scope);
+            const groupIndex = groupKeys.indexOf(key);
+            if (groupIndex !== -1) return { type: 'group_ref', index: groupIndex };
+
+            if (expr.type === 'function' && SIMPLE_SQL_AGGREGATES.has(expr.name)) {
+                let index = aggregates.findIndex(aggregate => aggregate.key === key);
+                if (index === -1) {
+                    index = aggregates.length;
+                    aggregates.push({ key, expr, fn: this.compileAggregateArgument(expr, scope) });
+                }
+                return { type: 'group_ref', index: groupExprs.length + index };
+            }
+
+            if (expr.type === 'column') {
+                throw new Error(`Column '${expr.name}' must appear in the GROUP BY clause or be used in an aggregate function`);
+            }
+            return SimpleSQL.mapChildren(expr, rewrite);
+        };
+
+        const aggregate = rows => {
+            const groups = new Map();
+            rows.forEach(row => {
+                const values = groupFns.map(fn => fn(row));
+                const key = SimpleSQL.rowKey(values);
+                let group = groups.get(key);
+                if (!group) {
+                    group = { values, rows: [] };
+                    groups.set(key, group);
+                }
+                group.rows.push(row);
+            });
+
+            // An aggregate without GROUP BY always produces exactly one row, even over no input
+            if (groupExprs.length === 0 && groups.size === 0) {
+                groups.set('', { values: [], rows: [] });
+            }
+
+            return Array.from(groups.values()).map(group => [
+                ...group.values,
+                ...aggregates.map(({ expr, fn }) => this.computeAggregate(expr, fn, group.rows))
+            ]);
+        };
+
+        return { rewrite, aggregate };
+    }
+
+    compileAggregateArgument(expr, scope) {
+        const name = expr.name.toLowerCase();
+        if (expr.star) {
+            if (expr.name !== 'COUNT') throw new Error(`${name}(*) is not supported`);
+            return null;
+        }
+        if (expr.args.length !== 1) {
+            throw new Error(`${name}() takes exactly one argument`);
+        }
+        if (SimpleSQL.containsAggregate(expr.args[0])) {
+            throw new Error('Aggregate function calls cannot be nested');
+        }
+        return this.compile(expr.args[0], scope);
+    }
+
+    computeAggregate(expr, fn, rows) {
+        if (expr.star) return rows.length;
+
+        let values = [];
+        rows.forEach(row => {
+            const value = fn(row);
+            if (value !== null) values.push(value);
+        });
+
+        if (expr.distinct) {
+            const seen = new Set();
+            values = values.filter(value => {
+                const key = SimpleSQL.rowKey([value]);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (expr.name === 'COUNT') return values.length;
+        if (values.length === 0) return null;
+
+        switch (expr.name) {
+            case 'SUM':
+                return values.reduce((sum, value) => sum + SimpleSQL.toNumber(value, 'sum'), 0);
+            case 'AVG':
+                return values.reduce((sum, value) => sum + SimpleSQL.toNumber(value, 'avg'), 0) / values.length;
+            case 'MIN':
+                return values.reduce((min, value) => SimpleSQL.compare(value, min) < 0 ? value : min);
+            case 'MAX':
+                return values.reduce((max, value) => SimpleSQL.compare(value, max) > 0 ? value : max);
+            default:
+                throw new Error(`Unsupported aggregate: ${expr.name.toLowerCase()}`);
+        }
+    }
+
+    // ORDER BY accepts output ordinals (ORDER BY 2) and select-list aliases as well as expressions
+    compileSortKey(order, items, compileOutput) {
+        const expr = order.expr;
+
+        if (expr.type === 'literal' && Number.isInteger(expr.value)) {
+            if (expr.value < 1 || expr.value > items.length) {
+                throw new Error(`ORDER BY term out of range - should be between 1 and ${items.length}`);
+            }
+            const index = expr.value - 1;
+            return (row, values) => values[index];
+        }
+
+        if (expr.type === 'column' && !expr.table) {
+            const index = items.findIndex(item => item.alias && item.alias.toLowerCase() === expr.name.toLowerCase());
+            if (index !== -1) return (row, values) => values[index];
+        }
+
+        const fn = compileOutput(expr);
+        return row => fn(row);
+    }
+
+    evaluateCount(expr, clause) {
+        const value = this.compile(expr, [])([]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${clause} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    // Canonical form of an expression, used to match SELECT items against GROUP BY expressions
+    expressionKey(expr, scope) {
+        return JSON.stringify(expr, (key, value) => {
+            if (key === 'position') return undefined;
+            if (value && value.type === 'column') return `column:${this.resolveColumn(value, scope)}`;
+            return value;
+        });
+    }
+
+    dropTable(statement) {
+        const tableName = statement.name.toLowerCase();
+        if (!this.tables.has(tableName)) {
+            if (statement.ifExists) return [];
+            throw new Error(`Table '${tableName}' does not exist`);
+        }
+        
+        this.tables.delete(tableName);
+        return [];
+    }
+
+    matchColumns(ref, scope) {
+        const name = ref.name.toLowerCase();
+        const table = ref.table && ref.table.toLowerCase();
+        const matches = [];
+
+        scope.forEach((col, index) => {
+            if (col.name.toLowerCase() === name && (table ? col.table === table : !col.hidden)) {
+                matches.push(index);
+            }
+        });
+
+        return matches;
+    }
+
+    resolveColumn(ref, scope) {
+        const matches = this.matchColumns(ref, scope);
+
+        if (matches.length === 0) {
+            const error = new Error(`Column '${ref.table ? ref.table + '.' : ''}${ref.name}' not found`);
+            error.position = ref.position;
+            throw error;
+        }
+        if (matches.length > 1) {
+            throw new Error(`Column reference '${ref.name}' is ambiguous`);
+        }
+        return matches[0];
+    }
+
+    // Turns an expression AST into a function of a row, resolving column references once up front
+    compile(expr, scope) {
+        switch (expr.type) {
+            case 'literal': {
+                const value = expr.value;
+                return () => value;
+            }
+            case 'group_ref': {
+                const index = expr.index;
+                return row => row[index];
+            }
+            case 'column': {
+                const index = this.resolveColumn(expr, scope);
+                return row => row[index];
+            }
+            case 'unary': {
+                const operand = this.compile(expr.operand, scope);
+                if (expr.op === 'NOT') {
+                    return row => {
+                        const value = SimpleSQL.toBoolean(operand(row));
+                        return value === null ? null : !value;
+                    };
+                }
+                return row => {
+                    const value = operand(row);
+                    if (value === null) return null;
+                    const num = SimpleSQL.toNumber(value, expr.op);
+                    return expr.op === '-' ? -num : num;
+                };
+            }
+            case 'binary':
+                return this.compileBinary(expr, scope);
+            case 'is_null': {
+                const operand = this.compile(expr.expr, scope);
+                return row => (operand(row) === null) !== expr.not;
+            }
+            case 'in': {
+                const operand = this.compile(expr.expr, scope);
+                const list = expr.list.map(item => this.compile(item, scope));
+                return row => {
+                    const value = operand(row);
+                    if (value === null) return null;
+                    let sawNull = false;
+                    for (const item of list) {
+                        const candidate = item(row);
+                        if (candidate === null) {
+                            sawNull = true;
+                        } else if (SimpleSQL.compare(value, candidate) === 0) {
+                            return !expr.not;
+                        }
+                    }
+                    return sawNull ? null : expr.not;
+                };
+            }
+            case 'between': {
+                const operand = this.compile(expr.expr, scope);
+                const low = this.compile(expr.low, scope);
+                const high = this.compile(expr.high, scope);
+                return row => {
+                    const value = operand(row);
+                    const lowValue = low(row);
+                    const highValue = high(row);
+                    if (value === null || lowValue === null || highValue === null) return null;
+                    const inRange = SimpleSQL.compare(value, lowValue) >= 0 && SimpleSQL.compare(value, highValue) <= 0;
+                    return inRange !== expr.not;
+                };
+            }
+            case 'like': {
+                const operand = this.compile(expr.expr, scope);
+                const pattern = this.compile(expr.pattern, scope);
+                const cache = new Map();
+                return row => {
+                    const value = operand(row);
+                    const patternValue = pattern(row);
+                    if (value === null || patternValue === null) return null;
+                    if (!cache.has(patternValue)) {
+                        cache.set(patternValue, SimpleSQL.likeToRegExp(String(patternValue), expr.caseInsensitive));
+                    }
+                    return cache.get(patternValue).test(String(value)) !== expr.not;
+                };
+            }
+            case 'function':
+                return this.compileFunction(expr, scope);
+            default:
+                throw new Error(`Unsupported expression: ${expr.type}`);
+        }
+    }
+
+    compileBinary(expr, scope) {
+        const left = this.compile(expr.left, scope);
+        const right = this.compile(expr.right, scope);
+
+        switch (expr.op) {
+            case 'AND':
+                return row => {
+                    const l = SimpleSQL.toBoolean(left(row));
+                    if (l === false) return false;
+                    const r = SimpleSQL.toBoolean(right(row));
+                    if (r === false) return false;
+                    return l === null || r === null ? null : true;
+                };
+            case 'OR':
+                return row => {
+                    const l = SimpleSQL.toBoolean(left(row));
+                    if (l === true) return true;
+                    const r = SimpleSQL.toBoolean(right(row));
+                    if (r === true) return true;
+                    return l === null || r === null ? null : false;
+                };
+            case '||':
+                return row => {
+                    const l = left(row);
+                    const r = right(row);
+                    return l === null || r === null ? null : String(l) + String(r);
+                };
+            case '=':
+            case '<>':
+            case '<':
+            case '>':
+            case '<=':
+            case '>=': {
+                const test = {
+                    '=': c => c === 0,
+                    '<>': c => c !== 0,
+                    '<': c => c < 0,
+                    '>': c => c > 0,
+                    '<=': c => c <= 0,
+                    '>=': c => c >= 0
+                }[expr.op];
+                return row => {
+                    const l = left(row);
+                    const r = right(row);
+                    return l === null || r === null ? null : test(SimpleSQL.compare(l, r));
+                };
+            }
+            default: {
+                // Arithmetic; division and modulo by zero yield NULL like DuckDB
+                const apply = {
+                    '+': (a, b) => a + b,
+                    '-': (a, b) => a - b,
+                    '*': (a, b) => a * b,
+                    '/': (a, b) => b === 0 ? null : a / b,
+                    '%': (a, b) => b === 0 ? null : a % b
+                }[expr.op];
+                return row => {
+                    const l = left(row);
+                    const r = right(row);
+                    if (l === null || r === null) return null;
+                    return apply(SimpleSQL.toNumber(l, expr.op), SimpleSQL.toNumber(r, expr.op));
+                };
+            }
+        }
+    }
+
+    compileFunction(expr, scope) {
+        if (SIMPLE_SQL_AGGREGATES.has(expr.name)) {
+            throw new Error(`Aggregate function ${expr.name.toLowerCase()}() is not allowed here`);
+        }
+
+        const args = expr.args.map(arg => this.compile(arg, scope));
+
+        if (expr.name === 'COALESCE') {
+            return row => {
+                for (const arg of args) {
+                    const value = arg(row);
+                    if (value !== null) return value;
+                }
+                return null;
+            };
+        }
+
+        const fn = SIMPLE_SQL_FUNCTIONS[expr.name];
+        if (!fn) {
+            throw new Error(`Function '${expr.name.toLowerCase()}' is not supported in the local SQL engine`);
+        }
+        return row => {
+            const values = args.map(arg => arg(row));
+            return values.includes(null) ? null : fn(...values);
+        };
+    }
+
+    static identifierSql(name) {
+        return '"' + String(name).replace(/"/g, '""') + '"';
+    }
+
+    static literalSql(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        // NaN and Infinity aren't number literals; as text they still convert back when inserted into a DOUBLE
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : `'${value}'`;
+        return "'" + String(value).replace(/'/g, "''") + "'";
+    }
+
+    static changes(count) {
+        // Same shape as DuckDB's result for INSERT/UPDATE/DELETE
+        return [{ columns: ['Count'], values: [[count]] }];
+    }
+
+    // Converts a value to a column's declared type; unknown types are stored as given
+    static coerce(value, type) {
+        if (value === null || value === undefined) return null;
+
+        const baseType = type.toUpperCase().replace(/\(.*$/, '').trim();
+        const family = SIMPLE_SQL_TYPE_FAMILIES[baseType];
+        const fail = () => {
+            throw new Error(`Could not convert ${typeof value === 'string' ? 'string ' : ''}'${value}' to ${baseType}`);
+        };
+
+        switch (family) {
+            case 'integer': {
+                if (typeof value === 'boolean') return Number(value);
+                if (typeof value === 'string' && !/^\s*[-+]?\d+\s*$/.test(value)) fail();
+                const num = Number(value);
+                if (!Number.isFinite(num)) fail();
+                // Like DuckDB, doubles round half away from zero when cast to integers
+                const rounded = Math.sign(num) * Math.round(Math.abs(num));
+                const [min, max] = SIMPLE_SQL_INTEGER_RANGES[baseType];
+                if (rounded < min || rounded > max) {
+                    throw new Error(`Value ${value} is out of range for ${baseType} (${min} to ${max})`);
+                }
+                return rounded;
+            }
+            case 'double':
+            case 'decimal': {
+                if (typeof value === 'boolean') return Number(value);
+                if (family === 'double' && typeof value === 'string' && /^\s*nan\s*$/i.test(value)) return NaN;
+                if (typeof value === 'string' && (value.trim() === '' || isNaN(value))) fail();
+                const num = Number(value);
+                if (family === 'double') return num;
+
+                const scale = /,\s*(\d+)\s*\)/.exec(type);
+                const factor = 10 ** (scale ? Number(scale[1]) : 3);
+                return Math.round(num * factor) / factor;
+            }
+            case 'varchar':
+                return String(value);
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (typeof value === 'number') return value !== 0;
+                if (/^\s*(true|t|1|yes|y)\s*$/i.test(value)) return true;
+                if (/^\s*(false|f|0|no|n)\s*$/i.test(value)) return false;
+                return fail();
+            case 'date': {
+                const match = /^\s*(\d{4})-(\d{2})-(\d{2})\s*$/.exec(String(value));
+                if (!match) fail();
+                const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+                if (date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) fail();
+                return `${match[1]}-${match[2]}-${match[3]}`;
+            }
+            case 'timestamp': {
+                const match = /^\s*(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?\s*$/.exec(String(value));
+                if (!match) fail();
+                return `${match[1]} ${match[2] || '00:00:00'}`;
+            }
+            default:
+                return value;
+        }
+    }
+
+    static compare(a, b) {
+        if (typeof a === 'boolean') a = Number(a);
+        if (typeof b === 'boolean') b = Number(b);
+        if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '' && !isNaN(b)) b = Number(b);
+        if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '' && !isNaN(a)) a = Number(a);
+
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+        a = String(a);
+        b = String(b);
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    static toNumber(value, op) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return Number(value);
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+        throw new Error(`Cannot apply '${op}' to non-numeric value '${value}'`);
+    }
+
+    static toBoolean(value) {
+        if (value === null || typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        if (/^(true|false)$/i.test(String(value))) return String(value).toLowerCase() === 'true';
+        throw new Error(`Cannot use '${value}' as a boolean condition`);
+    }
+
+    static rowKey(values) {
+        return JSON.stringify(values);
+    }
+
+    // Join keys: booleans and numeric strings hash like numbers so 1 = '1' still finds its match
+    static hashKey(values) {
+        return JSON.stringify(values.map(value => {
+            if (typeof value === 'boolean') return Number(value);
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+            return value;
+        }));
+    }
+
+    static conjuncts(expr) {
+        if (expr.type === 'binary' && expr.op === 'AND') {
+            return [...SimpleSQL.conjuncts(expr.left), ...SimpleSQL.conjuncts(expr.right)];
+        }
+        return [expr];
+    }
+
+    static children(expr) {
+        const children = [];
+        SimpleSQL.mapChildren(expr, child => {
+            children.push(child);
+            return child;
+        });
+        return children;
+    }
+
+    static columnRefs(expr) {
+        if (expr.type === 'column') return [expr];
+        return SimpleSQL.children(expr).flatMap(child => SimpleSQL.columnRefs(child));
+    }
+
+    static mapChildren(expr, fn) {
+        const copy = { ...expr };
+        ['operand', 'left', 'right', 'expr', 'low', 'high', 'pattern'].forEach(key => {
+            if (copy[key]) copy[key] = fn(copy[key]);
+        });
+        ['list', 'args'].forEach(key => {
+            if (copy[key]) copy[key] = copy[key].map(fn);
+        });
+        return copy;
+    }
+
+    static containsAggregate(expr) {
+        if (expr.type === 'function' && SIMPLE_SQL_AGGREGATES.has(expr.name)) return true;
+
+        return SimpleSQL.children(expr).some(child => SimpleSQL.containsAggregate(child));
+    }
+
+    static likeToRegExp(pattern, caseInsensitive) {
+        const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+    }
+}
+
+// Declared column types grouped by how SimpleSQL stores and converts their values
+const SIMPLE_SQL_TYPE_FAMILIES = {
+    INTEGER: 'integer', INT: 'integer', INT4: 'integer', SIGNED: 'integer', BIGINT: 'integer', INT8: 'integer',
+    LONG: 'integer', SMALLINT: 'integer', INT2: 'integer', SHORT: 'integer', TINYINT: 'integer', INT1: 'integer',
+    HUGEINT: 'integer', UTINYINT: 'integer', USMALLINT: 'integer', UINTEGER: 'integer', UBIGINT: 'integer',
+    DOUBLE: 'double', 'DOUBLE PRECISION': 'double', FLOAT: 'double', FLOAT4: 'double', FLOAT8: 'double', REAL: 'double',
+    DECIMAL: 'decimal', NUMERIC: 'decimal',
+    VARCHAR: 'varchar', TEXT: 'varchar', STRING: 'varchar', CHAR: 'varchar', BPCHAR: 'varchar',
+    CHARACTER: 'varchar', 'CHARACTER VARYING': 'varchar',
+    BOOLEAN: 'boolean', BOOL: 'boolean', LOGICAL: 'boolean',
+    DATE: 'date',
+    TIMESTAMP: 'timestamp', DATETIME: 'timestamp'
+};
+
+// Bounds of each integer type, as DuckDB enforces them; 64-bit and wider types stop at what a double holds exactly
+const SIMPLE_SQL_INTEGER_RANGES = {
+    TINYINT: [-128, 127], INT1: [-128, 127],
+    SMALLINT: [-32768, 32767], INT2: [-32768, 32767], SHORT: [-32768, 32767],
+    INTEGER: [-2147483648, 2147483647], INT: [-2147483648, 2147483647], INT4: [-2147483648, 2147483647],
+    SIGNED: [-2147483648, 2147483647],
+    BIGINT: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER], INT8: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+    LONG: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER], HUGEINT: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+    UTINYINT: [0, 255], USMALLINT: [0, 65535], UINTEGER: [0, 4294967295], UBIGINT: [0, Number.MAX_SAFE_INTEGER]
+};
+
+const SIMPLE_SQL_AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+
+// Scalar functions available to SimpleSQL expressions; NULL arguments short-circuit to NULL
+const SIMPLE_SQL_FUNCTIONS = {
+    LOWER: value => String(value).toLowerCase(),
+    UPPER: value => String(value).toUpperCase(),
+    LENGTH: value => String(value).length,
+    TRIM: value => String(value).trim(),
+    ABS: value => Math.abs(SimpleSQL.toNumber(value, 'abs')),
+    ROUND: (value, digits = 0) => {
+        const factor = 10 ** digits;
+        return Math.round(SimpleSQL.toNumber(value, 'round') * factor) / factor;
+    }
+};
+
+// Number of logged calls after which SimpleSQLClient folds its replay log into a snapshot
+const SIMPLE_SQL_LOG_COMPACT_ENTRIES = 100;
+
+// Runs SimpleSQL in a Web Worker so long statements don't block the page and can be cancelled by
+// terminating the worker. Calls that can change state are logged and replayed into the replacement
+// worker, which rebuilds the data the cancelled worker held. Without worker support it runs inline.
+// The log is periodically replaced by an exportState() snapshot so it doesn't hold every loaded row.
+class SimpleSQLClient {
+    constructor(scriptUrl) {
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.engine = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.log = [];
+        this.snapshot = null;
+        this.compacting = false;
+        this.inTransaction = false;
+    }
+
+    static async create(scriptUrl) {
+        const client = new SimpleSQLClient(scriptUrl);
+        try {
+            if (!scriptUrl || typeof Worker === 'undefined') throw new Error('Web Workers are not available');
+            await client.startWorker();
+        } catch (error) {
+            console.error('SimpleSQL worker unavailable, running on the main thread:', error);
+            client.engine = new SimpleSQL();
+        }
+        return client;
+    }
+
+    get isolated() {
+        return this.worker !== null;
+    }
+
+    startWorker() {
+        const source = `importScripts(${JSON.stringify(this.scriptUrl)});`;
+        const workerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        const worker = new Worker(workerUrl);
+
+        return new Promise((resolve, reject) => {
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                URL.revokeObjectURL(workerUrl);
+                reject(new Error(event.message || 'Failed to load the SimpleSQL worker'));
+            };
+            worker.onmessage = (event) => {
+                if (event.data.type !== 'ready') return;
+                URL.revokeObjectURL(workerUrl);
+                worker.onmessage = (e) => this.handleMessage(e.data);
+                worker.onerror = (e) => console.error('SimpleSQL worker error:', e.message);
+                this.worker = worker;
+                resolve();
+            };
+        });
+    }
+
+    handleMessage({ id, value, error, inTransaction }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        this.inTransaction = inTransaction;
+
+        // A failed read still matters for replay when it aborted the open transaction
+        if (request.entry && (!request.readOnly || (error && inTransaction))) this.log.push(request.entry);
+
+        if (request.compact) {
+            this.compacting = false;
+            // Every call answered before the snapshot is part of it; one taken mid-transaction only
+            // holds committed tables, so the log is still needed then
+            if (!error && !inTransaction) {
+                this.snapshot = value;
+                this.log = [];
+            }
+        } else if (!inTransaction && request.entry && this.log.length > 0
+            && (request.entry.method === 'loadTable' || request.entry.method === 'importState'
+                || this.log.length >= SIMPLE_SQL_LOG_COMPACT_ENTRIES)) {
+            this.compact();
+        }
+
+        if (error) {
+            request.reject(Object.assign(new Error(error.message), error));
+        } else {
+            request.resolve(value);
+        }
+    }
+
+    call(method, args, readOnly) {
+        if (this.engine) {
+            return new Promise(resolve => resolve(SimpleSQLClient.dispatch(this.engine, method, args)))
+                .finally(() => { this.inTransaction = this.engine.inTransaction; });
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, readOnly, entry: { method, args } });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    exec(sql, { readOnly = false } = {}) {
+        return this.call('exec', [sql], readOnly);
+    }
+
+    run(sql) {
+        return this.call('run', [sql], false);
+    }
+
+    loadTable(tableName, columns, rows) {
+        return this.call('loadTable', [tableName, columns, rows], false);
+    }
+
+    describe() {
+        return this.call('describe', [], true);
+    }
+
+    exportState() {
+        return this.call('exportState', [], true);
+    }
+
+    compact() {
+        if (this.compacting) return;
+        this.compacting = true;
+        const id = this.nextId++;
+        new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, readOnly: true, entry: null, compact: true });
+            this.worker.postMessage({ id, method: 'exportState', args: [] });
+        }).catch(() => {});
+    }
+
+    importState(state) {
+        return this.call('importState', [state], false);
+    }
+
+    dump() {
+        return this.call('dump', [], true);
+    }
+
+    // Kills the worker mid-statement and rebuilds its state in a fresh one
+    async restart() {
+        if (!this.worker) throw new Error('SimpleSQL is running on the main thread and cannot be interrupted');
+
+        this.worker.terminate();
+        this.worker = null;
+        const requests = Array.from(this.pending.values());
+        this.pending.clear();
+        requests.forEach(request => request.reject(new Error('SimpleSQL worker was restarted')));
+        this.compacting = false;
+
+        await this.startWorker();
+        if (this.snapshot) await this.replay({ method: 'importState', args: [this.snapshot] });
+        for (const entry of this.log) {
+            try {
+                await this.replay(entry);
+            } catch (error) {
+                // Failures are part of the original history too
+            }
+        }
+    }
+
+    replay({ method, args }) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, readOnly: true, entry: null });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    // Worker side: answers calls from SimpleSQLClient
+    static serve(scope) {
+        const engine = new SimpleSQL();
+        scope.onmessage = ({ data: { id, method, args } }) => {
+            try {
+                const value = SimpleSQLClient.dispatch(engine, method, args);
+                scope.postMessage({ id, value, inTransaction: engine.inTransaction });
+            } catch (error) {
+                const { message, name, position, line, column } = error;
+                scope.postMessage({ id, error: { message, name, position, line, column }, inTransaction: engine.inTransaction });
+            }
+        };
+        scope.postMessage({ type: 'ready' });
+    }
+
+    static dispatch(engine, method, args) {
+        switch (method) {
+            case 'exec':
+                return engine.exec(args[0]);
+            case 'run':
+                return engine.run(args[0]);
+            case 'loadTable':
+                return engine.loadTable(...args);
+            case 'exportState':
+                return engine.exportState();
+            case 'importState':
+                return engine.importState(args[0]);
+            case 'dump':
+                return engine.dump();
+            case 'describe':
+                return Array.from(engine.tables.entries()).map(([name, table]) => ({
+                    name,
+                    columns: table.columns.map(col => ({ name: col.name, type: col.type }))
+                }));
+            default:
+                throw new Error(`Unknown SimpleSQL call: ${method}`);
+        }
+    }
+}
+
+// Parses local data files for import and infers column types
+class FileImporter {
+    static formatFor(fileName) {
+        const ext = fileName.toLowerCase().split('.').pop();
+        switch (ext) {
+            case 'csv':
+            case 'txt': return 'csv';
+            case 'tsv': return 'tsv';
+            case 'parquet': return 'parquet';
+            case 'json': return 'json';
+            case 'ndjson':
+            case 'jsonl': return 'ndjson';
+            default: return null;
+        }
+    }
+
+    static tableNameFor(fileName) {
+        let name = fileName.replace(/\.[^.]*$/, '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!name) name = 'imported';
+        if (/^\d/.test(name)) name = 't_' + name;
+        return name;
+    }
+
+    // Returns { columns: [{ name, type }], rows: [[...]] } from CSV/TSV, JSON or NDJSON text
+    static parse(text, format) {
+        switch (format) {
+            case 'csv': return this.parseDelimited(text, ',');
+            case 'tsv': return this.parseDelimited(text, '\t');
+            case 'json':
+            case 'ndjson': return this.parseJSON(text);
+            default:
+                throw new Error(`${format} files can only be imported when DuckDB WASM is loaded`);
+        }
+    }
+
+    static parseDelimited(text, delimiter) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) throw new Error('Unterminated quoted field in CSV file');
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(r => !(r.length === 1 && r[0] === ''));
+        if (nonEmpty.length === 0) throw new Error('File is empty');
+
+        const header = nonEmpty[0].map((name, i) => name.trim() || `column${i}`);
+        const rawRows = nonEmpty.slice(1).map(r => header.map((_, i) => (r[i] === undefined || r[i] === '') ? null : r[i]));
+
+        const columns = header.map((name, i) => ({ name, type: this.inferType(rawRows.map(row => row[i])) }));
+        const rows = rawRows.map(row => row.map((value, i) => this.coerceValue(value, columns[i].type)));
+        return { columns, rows };
+    }
+
+    static parseJSON(text) {
+        let records;
+        const trimmed = text.trim();
+
+        // A whole-document parse covers arrays and single (possibly pretty-printed) objects;
+        // only text that isn't one JSON value is read as newline-delimited JSON
+        let whole;
+        try {
+            whole = JSON.parse(trimmed);
+        } catch (error) {
+            if (trimmed.startsWith('[')) throw error;
+        }
+
+        if (whole !== undefined) {
+            records = Array.isArray(whole) ? whole : [whole];
+        } else {
+            // Newline-delimited JSON: one object per line
+            records = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        if (!Array.isArray(records) || records.some(r => r === null || typeof r !== 'object' || Array.isArray(r))) {
+            throw new Error('JSON import expects an array of objects or one object per line');
+        }
+
+        const names = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!names.includes(key)) names.push(key);
+            });
+        });
+
+        const rawRows = records.map(record => names.map(name => {
+            const value = record[name];
+            if (value === undefined || value === null) return null;
+            return typeof value === 'object' ? JSON.stringify(value) : value;
+        }));
+
+        const columns = names.map((name, i) => ({ name, type: this.inferType(rawRows.map(row => row[i])) }));
+        const rows = rawRows.map(row => row.map((value, i) => this.coerceValue(value, columns[i].type)));
+        return { columns, rows };
+    }
+
+    static inferType(values) {
+        const present = values.filter(v => v !== null && v !== undefined);
+        if (present.length === 0) return 'VARCHAR';
+
+        const all = test => present.every(v => test(typeof v === 'string' ? v.trim() : v));
+
+        if (all(v => typeof v === 'boolean' || /^(true|false)$/i.test(v))) return 'BOOLEAN';
+        const integers = present.every(v => Number.isSafeInteger(v) || (typeof v === 'string' && /^-?\d{1,15}$/.test(v.trim())));
+        if (integers) {
+            // Wider than 32 bits needs BIGINT, or SimpleSQL rejects the values on the next UPDATE
+            const [min, max] = SIMPLE_SQL_INTEGER_RANGES.INTEGER;
+            return present.every(v => Number(v) >= min && Number(v) <= max) ? 'INTEGER' : 'BIGINT';
+        }
+        if (all(v => typeof v === 'number' || (typeof v === 'string' && /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(v)))) return 'DOUBLE';
+        if (all(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v))) return 'DATE';
+        return 'VARCHAR';
+    }
+
+    static coerceValue(value, type) {
+        if (value === null || value === undefined) return null;
+
+        switch (type.toUpperCase()) {
+            case 'INTEGER':
+            case 'BIGINT': {
+                const num = Number(value);
+                return Number.isFinite(num) ? Math.trunc(num) : null;
+            }
+            case 'DOUBLE':
+            case 'FLOAT':
+            case 'REAL': {
+                const num = Number(value);
+                return Number.isFinite(num) ? num : null;
+            }
+            case 'BOOLEAN':
+                if (typeof value === 'boolean') return value;
+                return /^true$/i.test(String(value).trim());
+            default:
+                return String(value);
+        }
+    }
+}
+
+// Splits a SQL script into statements without tripping over semicolons in strings,
+// quoted identifiers or comments. Offsets point into the original script.
+class SQLScriptSplitter {
+    // Returns [{ text, start, end }]; leading comments are left out and comment-only statements are skipped
+    static split(script) {
+        const statements = [];
+        let start = -1;
+        let end = -1;
+        let i = 0;
+
+        const flush = () => {
+            if (start !== -1) statements.push({ text: script.slice(start, end), start, end });
+            start = -1;
+            end = -1;
+        };
+
+        while (i < script.length) {
+            const char = script[i];
+
+            if (char === '-' && script[i + 1] === '-') {
+                const newline = script.indexOf('\n', i);
+                i = newline === -1 ? script.length : newline;
+                continue;
+            }
+            if (char === '/' && script[i + 1] === '*') {
+                const close = script.indexOf('*/', i + 2);
+                i = close === -1 ? script.length : close + 2;
+                continue;
+            }
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+            if (char === ';') {
+                flush();
+                i++;
+                continue;
+            }
+
+            if (start === -1) start = i;
+            if (char === "'" || char === '"') {
+                // E'...' strings allow backslash escapes
+                const escaped = char === "'" && /[eE]/.test(script[i - 1] || '') && !/[\w$]/.test(script[i - 2] || '');
+                i = this.skipQuoted(script, i, escaped);
+            } else if (char === '$') {
+                i = this.skipDollarQuoted(script, i);
+            } else {
+                i++;
+            }
+            end = i;
+        }
+
+        flush();
+        return statements;
+    }
+
+    static skipQuoted(script, i, backslashEscapes) {
+        const quote = script[i];
+        let j = i + 1;
+        while (j < script.length) {
+            if (backslashEscapes && script[j] === '\\') {
+                j += 2;
+            } else if (script[j] === quote) {
+                if (script[j + 1] !== quote) return j + 1;
+                j += 2;
+            } else {
+                j++;
+            }
+        }
+        return script.length;
+    }
+
+    // $$...$$ and $tag$...$tag$ strings; a lone $ (e.g. a $1 parameter) is just a character
+    static skipDollarQuoted(script, i) {
+        const opener = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+        opener.lastIndex = i;
+        const match = opener.exec(script);
+        if (!match) return i + 1;
+        const close = script.indexOf(match[0], i + match[0].length);
+        return close === -1 ? script.length : close + match[0].length;
+    }
+
+    // The statement containing the offset, else the nearest one before it, else the first one after it
+    static statementAt(statements, offset) {
+        let previous = null;
+        for (const statement of statements) {
+            if (offset >= statement.start && offset <= statement.end) return statement;
+            if (statement.end < offset) previous = statement;
+        }
+        return previous || statements.find(statement => statement.start > offset) || null;
+    }
+}
+
+// Maps engine errors onto positions in the statement that failed, and suggests names for unknown objects
+class ErrorDiagnostics {
+    // Returns { start, end } within sql for the token the error is about, or null when it can't be placed
+    static locate(error, sql, name = null) {
+        let start = typeof error.position === 'number' ? error.position : this.caretOffset(error.message, sql);
+        const tokens = SQLEditor.tokenize(sql).filter(token => token.type !== 'space' && token.type !== 'comment');
+
+        // An unknown name is underlined where it occurs, preferring the occurrence at or after the reported position
+        if (name) {
+            const named = tokens.filter(token => token.text.replace(/^"|"$/g, '').toLowerCase() === name.toLowerCase());
+            const token = named.find(t => start === null || t.end > start) || named[0];
+            if (token) return { start: token.start, end: token.end };
+        }
+        if (start === null) return null;
+
+        start = Math.min(start, Math.max(0, sql.length - 1));
+        const token = tokens.find(t => t.start <= start && start < t.end) || tokens.find(t => t.start >= start);
+        return token ? { start: token.start, end: token.end } : { start, end: Math.min(sql.length, start + 1) };
+    }
+
+    // DuckDB appends "LINE n: <snippet>" and a caret line; long lines are shortened to "...<snippet>..."
+    static caretOffset(message, sql) {
+        const lines = message.split('\n');
+        const index = lines.findIndex(line => /^LINE \d+: /.test(line));
+        if (index === -1 || index + 1 >= lines.length || !lines[index + 1].includes('^')) return null;
+
+        const [, lineNumber, snippet] = lines[index].match(/^LINE (\d+): (.*)$/);
+        const prefix = lines[index].length - snippet.length;
+        const sqlLines = sql.split('\n');
+        const lineText = sqlLines[Number(lineNumber) - 1];
+        if (lineText === undefined) return null;
+
+        const elided = snippet.startsWith('...') ? 3 : 0;
+        const core = snippet.slice(elided).replace(/\.\.\.$/, '');
+        const found = lineText.indexOf(core.slice(0, 40));
+        const column = (found === -1 ? 0 : found) + lines[index + 1].indexOf('^') - prefix - elided;
+        const lineStart = sqlLines.slice(0, Number(lineNumber) - 1).reduce((sum, line) => sum + line.length + 1, 0);
+        return lineStart + Math.max(0, Math.min(column, lineText.length));
+    }
+
+    // The message without DuckDB's LINE/caret lines or SimpleSQL's statement-relative location
+    static summary(message) {
+        return message
+            .replace(/\n?LINE \d+: .*\n\s*\^\s*$/, '')
+            .replace(/\n?Did you mean "[^"]*"\?/, '')
+            .replace(/ \(line \d+, column \d+\)$/, '')
+            .trim();
+    }
+
+    // The table, column or function an error says does not exist
+    static unknownName(message) {
+        const patterns = [
+            ['table', /Table '([^']+)' does not exist/],
+            ['table', /Table with name "?([^\s"!]+)"? does not exist/],
+            ['column', /Column '(?:[^'.]+\.)?([^'.]+)' (?:not found|does not exist)/],
+            ['column', /Referenced column "([^"]+)" not found/],
+            ['function', /Function with name "?([^\s"(]+)"? does not exist/]
+        ];
+        for (const [kind, pattern] of patterns) {
+            const match = message.match(pattern);
+            if (match) return { kind, name: match[1] };
+        }
+        return null;
+    }
+
+    // Up to three candidates within a small edit distance, closest first
+    static suggest(name, candidates) {
+        const target = name.toLowerCase();
+        const limit = Math.max(2, Math.floor(target.length / 3));
+        return Array.from(new Set(candidates))
+            .map(candidate => ({ candidate, distance: this.editDistance(target, candidate.toLowerCase()) }))
+            .filter(({ candidate, distance }) => distance <= limit && candidate.toLowerCase() !== target)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 3)
+            .map(({ candidate }) => candidate);
+    }
+
+    // Levenshtein distance counting an adjacent transposition as one edit
+    static editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+}
+
+// Named placeholders ($name or :name) in worksheet SQL, bound per statement before it runs
+class QueryParameters {
+    // Placeholder tokens in order, skipping strings, comments, "::" casts and list slices such as list[1:n]
+    static find(sql) {
+        return SQLEditor.tokenize(sql)
+            .filter(token => token.type === 'param')
+            .map(token => ({ name: token.text.slice(1), start: token.start, end: token.end }));
+    }
+
+    static names(sql) {
+        return Array.from(new Set(this.find(sql).map(param => param.name)));
+    }
+
+    // A starting type for a parameter nobody has typed yet, from its name
+    static guessType(name) {
+        if (/(^|_)(date|day)$|_on$/i.test(name)) return 'DATE';
+        if (/(^|_)(time|timestamp|ts)$|_at$/i.test(name)) return 'TIMESTAMP';
+        if (/(^|_)(id|count|limit|offset|year|n)$/i.test(name)) return 'INTEGER';
+        if (/(^|_)(amount|price|rate|ratio|threshold)$/i.test(name)) return 'DOUBLE';
+        if (/^(is|has)_/i.test(name)) return 'BOOLEAN';
+        return 'VARCHAR';
+    }
+
+    // Checks an input value against its type; an empty input means NULL
+    static normalize(name, { type, value }) {
+        const text = value === undefined || value === null ? '' : String(value).trim();
+        if (text === '') return null;
+
+        const fail = (expected) => {
+            throw new Error(`Parameter ${name} must be ${expected}, got '${text}'`);
+        };
+        switch (type) {
+            case 'INTEGER':
+                if (!/^[-+]?\d+$/.test(text)) fail('an integer');
+                return text;
+            case 'DOUBLE':
+                if (!Number.isFinite(Number(text))) fail('a number');
+                return text;
+            case 'BOOLEAN':
+                if (!/^(true|false)$/i.test(text)) fail('true or false');
+                return text.toLowerCase();
+            case 'DATE':
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) fail('a date (YYYY-MM-DD)');
+                return text;
+            case 'TIMESTAMP':
+                if (!/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(text)) fail('a timestamp (YYYY-MM-DD HH:MM:SS)');
+                return text.replace('T', ' ');
+            default:
+                return String(value);
+        }
+    }
+
+    // DuckDB: "?" placeholders cast to the chosen type, with the values as strings for connection.prepare
+    static bindPrepared(sql, values, spans = null) {
+        const params = [];
+        const text = this.replace(sql, (name) => {
+            const entry = this.entry(values, name);
+            params.push(this.normalize(`$${name}`, entry));
+            return `CAST(? AS ${entry.type})`;
+        }, spans);
+        return { sql: text, params };
+    }
+
+    // SimpleSQL: each placeholder becomes a literal; normalize() has already validated numbers and booleans
+    static bindInline(sql, values, spans = null) {
+        return this.replace(sql, (name) => {
+            const entry = this.entry(values, name);
+            const value = this.normalize(`$${name}`, entry);
+            if (value === null) return 'NULL';
+            // BigInt keeps integers past 2^53 exact, as DuckDB binds them
+            if (entry.type === 'INTEGER') return BigInt(value).toString();
+            if (entry.type === 'DOUBLE') return String(Number(value));
+            if (entry.type === 'BOOLEAN') return value.toUpperCase();
+            return SimpleSQL.literalSql(value);
+        }, spans);
+    }
+
+    // The type is spliced into the SQL (see bindPrepared), so only the known ones are accepted
+    static entry(values, name) {
+        const entry = values[name];
+        if (!entry) return { type: this.guessType(name), value: '' };
+        if (!this.isValid(entry)) throw new Error(`Parameter $${name} has an unsupported type: ${entry.type}`);
+        return entry;
+    }
+
+    static isValid(entry) {
+        return Boolean(entry) && typeof entry === 'object' && PARAMETER_TYPES.includes(entry.type) &&
+            (entry.value === null || ['string', 'number', 'boolean', 'undefined'].includes(typeof entry.value));
+    }
+
+    // spans, when given, collects where each placeholder ended up so offsets can be mapped back (see originalOffset)
+    static replace(sql, replacement, spans = null) {
+        let text = '';
+        let last = 0;
+        for (const param of this.find(sql)) {
+            text += sql.slice(last, param.start);
+            const boundStart = text.length;
+            text += replacement(param.name);
+            if (spans) spans.push({ start: param.start, end: param.end, boundStart, boundEnd: text.length });
+            last = param.end;
+        }
+        return text + sql.slice(last);
+    }
+
+    // Offset in the statement as written for an offset in its bound text; inside a placeholder's
+    // replacement it lands on the placeholder (its start, or its end when `end` is set)
+    static originalOffset(offset, spans, end = false) {
+        let shift = 0;
+        for (const span of spans) {
+            if (end ? offset <= span.boundStart : offset < span.boundStart) break;
+            if (end ? offset <= span.boundEnd : offset < span.boundEnd) return end ? span.end : span.start;
+            shift = span.boundEnd - span.end;
+        }
+        return offset - shift;
+    }
+}
+
+const PARAMETER_TYPES = ['VARCHAR', 'INTEGER', 'DOUBLE', 'BOOLEAN', 'DATE', 'TIMESTAMP'];
+const PARAMETER_VALUES_KEY = 'wrksheet.parameters';
+
+// Arrow type ids (apache-arrow's Type enum) for the types the formatter treats specially
+const ARROW_TYPE = {
+    Int: 2,
+    Float: 3,
+    Binary: 4,
+    Utf8: 5,
+    Bool: 6,
+    Decimal: 7,
+    Date: 8,
+    Time: 9,
+    Timestamp: 10,
+    Interval: 11,
+    List: 12,
+    Struct: 13,
+    FixedSizeBinary: 15,
+    FixedSizeList: 16,
+    Map: 17,
+    LargeBinary: 19,
+    LargeUtf8: 20
+};
+
+// Turns result values into text according to their Arrow type, so the grid and every export agree.
+// Without a type (SimpleSQL results) values are formatted by their JavaScript type.
+class ValueFormatter {
+    // Text for a non-null value; maxBytes shortens BLOBs to a preview
+    static format(value, type = null, { maxBytes = Infinity } = {}) {
+        if (value === null || value === undefined) return null;
+        if (!type) return this.formatUntyped(value, maxBytes);
+
+        switch (type.typeId) {
+            case ARROW_TYPE.Decimal:
+                return this.formatDecimal(value, type.scale);
+            case ARROW_TYPE.Date:
+                return this.formatDate(value);
+            case ARROW_TYPE.Time:
+                return this.formatTime(value, type.unit);
+            case ARROW_TYPE.Timestamp:
+                return this.formatTimestamp(value, type.timezone);
+            case ARROW_TYPE.Interval:
+                return this.formatInterval(value, type.unit);
+            case ARROW_TYPE.Binary:
+            case ARROW_TYPE.LargeBinary:
+            case ARROW_TYPE.FixedSizeBinary:
+                return this.formatBlob(value, maxBytes);
+            case ARROW_TYPE.List:
+            case ARROW_TYPE.FixedSizeList:
+            case ARROW_TYPE.Struct:
+            case ARROW_TYPE.Map:
+                return this.formatNested(value, type, maxBytes);
+            default:
+                return String(value);
+        }
+    }
+
+    static isNested(type) {
+        return !!type && [ARROW_TYPE.List, ARROW_TYPE.FixedSizeList, ARROW_TYPE.Struct, ARROW_TYPE.Map].includes(type.typeId);
+    }
+
+    static formatUntyped(value, maxBytes) {
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof Uint8Array) return this.formatBlob(value, maxBytes);
+        if (Array.isArray(value)) return `[${value.map(item => this.formatChild(item, null, maxBytes)).join(', ')}]`;
+        if (typeof value === 'object') return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+        return String(value);
+    }
+
+    // Arrow hands decimals over as the unscaled integer; place the point without going through floats
+    static formatDecimal(value, scale) {
+        const digits = String(value);
+        if (!scale) return digits;
+
+        const negative = digits.startsWith('-');
+        const unsigned = (negative ? digits.slice(1) : digits).padStart(scale + 1, '0');
+        const integer = unsigned.slice(0, unsigned.length - scale);
+        return `${negative ? '-' : ''}${integer}.${unsigned.slice(-scale)}`;
+    }
+
+    // Values outside the JavaScript Date range fall back to the raw number
+    static formatDate(value) {
+        const date = new Date(Number(value));
+        return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+    }
+
+    // TIME arrives as a count of the type's unit (seconds through nanoseconds) since midnight
+    static formatTime(value, unit) {
+        const perSecond = [1n, 1000n, 1000000n, 1000000000n][unit];
+        const ticks = BigInt(value);
+        const seconds = ticks / perSecond;
+        const fraction = ticks % perSecond;
+        const pad = n => String(n).padStart(2, '0');
+        let text = `${pad(seconds / 3600n)}:${pad((seconds / 60n) % 60n)}:${pad(seconds % 60n)}`;
+        if (fraction) {
+            text += '.' + String(fraction).padStart(String(perSecond).length - 1, '0').replace(/0+$/, '');
+        }
+        return text;
+    }
+
+    // Timestamps arrive as (possibly fractional) milliseconds since the epoch
+    static formatTimestamp(value, timezone) {
+        const millis = Number(value);
+        const whole = Math.floor(millis);
+        const micros = Math.min(999, Math.round((millis - whole) * 1000));
+        const date = new Date(whole);
+        if (Number.isNaN(date.getTime())) return String(value);
+
+        const iso = date.toISOString();
+        const fraction = (iso.slice(20, 23) + (micros ? String(micros).padStart(3, '0') : '')).replace(/0+$/, '');
+        const text = `${iso.slice(0, 10)} ${iso.slice(11, 19)}${fraction ? '.' + fraction : ''}`;
+        return timezone ? `${text}Z` : text;
+    }
+
+    // [months] for YEAR_MONTH, [days, milliseconds] for DAY_TIME, [months, days, nanoseconds (lo, hi)] for MONTH_DAY_NANO
+    static formatInterval(value, unit) {
+        const parts = Array.from(value);
+        let months = 0;
+        let days = 0;
+        let nanos = 0n;
+        if (unit === 0) {
+            months = parts[0];
+        } else if (unit === 1) {
+            [days] = parts;
+            nanos = BigInt(parts[1]) * 1000000n;
+        } else {
+            [months, days] = parts;
+            nanos = (BigInt(parts[3]) << 32n) + BigInt(parts[2] >>> 0);
+        }
+
+        const pieces = [];
+        const plural = (count, unitName) => `${count} ${unitName}${Math.abs(count) === 1 ? '' : 's'}`;
+        if (Math.trunc(months / 12)) pieces.push(plural(Math.trunc(months / 12), 'year'));
+        if (months % 12) pieces.push(plural(months % 12, 'month'));
+        if (days) pieces.push(plural(days, 'day'));
+        if (nanos || pieces.length === 0) {
+            const sign = nanos < 0n ? '-' : '';
+            pieces.push(sign + this.formatTime(nanos < 0n ? -nanos : nanos, 3));
+        }
+        return pieces.join(' ');
+    }
+
+    static formatBlob(bytes, maxBytes) {
+        const shown = bytes.length > maxBytes ? bytes.subarray(0, maxBytes) : bytes;
+        const hex = Array.from(shown, byte => byte.toString(16).padStart(2, '0')).join('');
+        return bytes.length > maxBytes ? `\\x${hex}… (${bytes.length} bytes)` : `\\x${hex}`;
+    }
+
+    // DuckDB-style literals: [1, 2], {'a': 1, 'b': x}, {key=value}
+    static formatNested(value, type, maxBytes) {
+        const items = this.entries(value, type).map(([label, item, itemType]) => {
+            const text = this.formatChild(item, itemType, maxBytes);
+            if (type.typeId === ARROW_TYPE.Struct) return `'${label}': ${text}`;
+            if (type.typeId === ARROW_TYPE.Map) return `${label}=${text}`;
+            return text;
+        });
+        const isList = type.typeId === ARROW_TYPE.List || type.typeId === ARROW_TYPE.FixedSizeList;
+        return isList ? `[${items.join(', ')}]` : `{${items.join(', ')}}`;
+    }
+
+    static formatChild(value, type, maxBytes) {
+        if (value === null || value === undefined) return 'NULL';
+        const text = this.format(value, type, { maxBytes });
+        const isString = type ? [ARROW_TYPE.Utf8, ARROW_TYPE.LargeUtf8].includes(type.typeId) : typeof value === 'string';
+        return isString ? `'${text.replace(/'/g, "''")}'` : text;
+    }
+
+    // [label, value, type] triples for the children of a LIST, STRUCT or MAP value
+    static entries(value, type) {
+        switch (type.typeId) {
+            case ARROW_TYPE.Struct:
+                return type.children.map(field => [field.name, value[field.name], field.type]);
+            case ARROW_TYPE.Map: {
+                const [keyField, valueField] = type.children[0].type.children;
+                return Array.from(value, ([key, item]) => [this.format(key, keyField.type), item, valueField.type]);
+            }
+            default:
+                return Array.from(value, (item, index) => [String(index + 1), item, type.children[0].type]);
+        }
+    }
+
+    // Expandable tree for the value inspector; leaves use the same text as the grid
+    static treeHtml(value, type) {
+        if (!this.isNested(type) || value === null || value === undefined) {
+            return value === null || value === undefined ? '<em>NULL</em>' : HTMLText.escape(this.format(value, type));
+        }
+
+        const entries = this.entries(value, type);
+        const kind = type.typeId === ARROW_TYPE.Struct ? 'STRUCT' : type.typeId === ARROW_TYPE.Map ? 'MAP' : 'LIST';
+        const items = entries.map(([label, item, itemType]) =>
+            `<li><span class="tree-label">${HTMLText.escape(label)}</span> ${this.treeHtml(item, itemType)}</li>`
+        ).join('');
+        return `<details open class="value-tree"><summary>${kind} (${entries.length})</summary><ul>${items}</ul></details>`;
+    }
+}
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+    parquet: { label: 'Parquet', extension: 'parquet', mimeType: 'application/vnd.apache.parquet' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    markdown: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown;charset=utf-8;' },
+    clipboard: { label: 'Copy to clipboard (TSV)', extension: null, mimeType: null }
+};
+
+// Serializes result rows for download or the clipboard. Values go through ValueFormatter, so exports
+// read the same as the grid; Parquet is written by DuckDB itself and isn't handled here.
+class ResultExporter {
+    static toDelimited(columns, fields, rows, { delimiter = ',', header = true } = {}) {
+        const escape = (text) => {
+            if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+                return '"' + text.replace(/"/g, '""') + '"';
+            }
+            return text;
+        };
+
+        const lines = header ? [columns.map(col => escape(String(col))).join(delimiter)] : [];
+        for (const row of rows) {
+            lines.push(row.map((cell, index) => {
+                const text = ValueFormatter.format(cell, this.typeAt(fields, index));
+                return text === null ? '' : escape(text);
+            }).join(delimiter));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static toJSON(columns, fields, rows) {
+        return JSON.stringify(rows.map(row => this.rowObject(columns, fields, row)), null, 2);
+    }
+
+    static toNDJSON(columns, fields, rows) {
+        return rows.map(row => JSON.stringify(this.rowObject(columns, fields, row))).join('\n') + '\n';
+    }
+
+    static toMarkdown(columns, fields, rows) {
+        const escape = text => text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const lines = [
+            `| ${columns.map(col => escape(String(col))).join(' | ')} |`,
+            `| ${columns.map(() => '---').join(' | ')} |`
+        ];
+        for (const row of rows) {
+            lines.push(`| ${row.map((cell, index) => escape(ValueFormatter.format(cell, this.typeAt(fields, index)) ?? '')).join(' | ')} |`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static rowObject(columns, fields, row) {
+        const object = {};
+        columns.forEach((col, index) => {
+            object[col] = this.jsonValue(row[index], this.typeAt(fields, index));
+        });
+        return object;
+    }
+
+    // Numbers, booleans and strings stay native; nested values become arrays and objects; everything
+    // else (dates, times, BLOBs, numbers a double can't hold exactly) uses the formatted text
+    static jsonValue(value, type) {
+        if (value === null || value === undefined) return null;
+
+        if (ValueFormatter.isNested(type)) {
+            const entries = ValueFormatter.entries(value, type);
+            if (type.typeId === ARROW_TYPE.List || type.typeId === ARROW_TYPE.FixedSizeList) {
+                return entries.map(([, item, itemType]) => this.jsonValue(item, itemType));
+            }
+            return Object.fromEntries(entries.map(([label, item, itemType]) => [label, this.jsonValue(item, itemType)]));
+        }
+
+        if (typeof value === 'bigint') {
+            return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+        }
+
+        const plain = !type || [ARROW_TYPE.Int, ARROW_TYPE.Float, ARROW_TYPE.Bool, ARROW_TYPE.Utf8, ARROW_TYPE.LargeUtf8].includes(type.typeId);
+        if (plain && (typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value))) return value;
+
+        const text = ValueFormatter.format(value, type);
+        if (type && type.typeId === ARROW_TYPE.Decimal && text.replace(/[-.]/g, '').length <= 15) return Number(text);
+        return text;
+    }
+
+    static typeAt(fields, index) {
+        return fields ? fields[index].type : null;
+    }
+
+    // A single-sheet workbook: numbers and booleans as typed cells, everything else as inline strings
+    static toXlsx(columns, fields, rows) {
+        const xmlText = text => String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
+        };
+        const cell = (value, ref) => {
+            if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+            if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+        };
+
+        const sheetRows = [`<row r="1">${columns.map((col, index) => cell(String(col), `${columnName(index)}1`)).join('')}</row>`];
+        rows.forEach((row, rowIndex) => {
+            const cells = row.map((value, index) => {
+                if (value === null || value === undefined) return '';
+                const json = this.jsonValue(value, this.typeAt(fields, index));
+                const cellValue = typeof json === 'object' ? ValueFormatter.format(value, this.typeAt(fields, index)) : json;
+                return cell(cellValue, `${columnName(index)}${rowIndex + 2}`);
+            });
+            sheetRows.push(`<row r="${rowIndex + 2}">${cells.join('')}</row>`);
+        });
+
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const files = {
+            '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+            '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+            'xl/workbook.xml': `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+            'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+        };
+
+        const encoder = new TextEncoder();
+        return this.zip(Object.entries(files).map(([name, text]) => ({ name, data: encoder.encode(text) })));
+    }
+
+    // Minimal ZIP writer (stored, uncompressed entries), enough for an XLSX package
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(10, 0, true);
+            local.setUint16(12, 0x21, true); // 1980-01-01
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        }
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) crc = this.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Result rows are handed out a page at a time so only what the grid needs is held in memory.
+// next() appends up to `limit` rows to `target` and reports the running count as rows arrive.
+class ArrayRowSource {
+    constructor(values) {
+        this.values = values;
+        this.offset = 0;
+        this.closed = false;
+    }
+
+    get hasMore() {
+        return this.offset < this.values.length;
+    }
+
+    get complete() {
+        return !this.hasMore;
+    }
+
+    async next(limit, target) {
+        const end = Math.min(this.values.length, this.offset + limit);
+        for (let i = this.offset; i < end; i++) target.push(this.values[i]);
+        this.offset = end;
+    }
+
+    async close() {}
+}
+
+// Reads rows from a DuckDB record batch stream (connection.send); rows past the page limit wait in `pending`
+class ArrowRowSource {
+    // statement is the prepared statement behind a parameterized query, closed along with the stream
+    constructor(reader, statement = null) {
+        this.reader = reader;
+        this.statement = statement;
+        this.pending = [];
+        this.done = false;
+        this.closed = false;
+    }
+
+    get hasMore() {
+        return !this.closed && (this.pending.length > 0 || !this.done);
+    }
+
+    // Every row has been read, as opposed to the stream being closed early
+    get complete() {
+        return this.done && this.pending.length === 0;
+    }
+
+    async next(limit, target, onProgress = null) {
+        if (this.closed) throw new Error('This result is no longer available - re-run the query to fetch more rows');
+
+        const end = target.length + limit;
+        const take = () => {
+            const count = Math.min(this.pending.length, end - target.length);
+            for (let i = 0; i < count; i++) target.push(this.pending[i]);
+            this.pending = this.pending.slice(count);
+        };
+
+        take();
+        while (target.length < end && !this.done) {
+            const { value: batch, done } = await this.reader.next();
+            if (done) {
+                this.done = true;
+                break;
+            }
+            this.pending = ArrowRowSource.batchRows(batch);
+            take();
+            if (onProgress) onProgress(target.length);
+        }
+    }
+
+    // DuckDB invalidates a streaming result as soon as the connection runs another query
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.pending = [];
+        if (!this.done) await this.reader.return();
+        if (this.statement) await this.statement.close();
+    }
+
+    static batchRows(batch) {
+        const vectors = batch.schema.fields.map((_, index) => batch.getChildAt(index));
+        const rows = new Array(batch.numRows);
+        for (let i = 0; i < batch.numRows; i++) {
+            rows[i] = vectors.map(vector => vector.get(i));
+        }
+        return rows;
+    }
+}
+
+// Escapes text for use in markup, both as element content and inside double-quoted attribute values
+class HTMLText {
+    static escape(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Virtualized results table: only the rows scrolled into view (plus some overscan) are in the DOM,
+// with spacer rows standing in for the rest. Sorting, filters, column layout and the cell selection
+// work on the loaded rows; `view` lists the indexes into `rows` in display order.
+class ResultGrid {
+    // renderCell(value, columnIndex, rowIndex) returns cell HTML; cellText(value, columnIndex) its plain text;
+    // sortValue(value, columnIndex) what to order by; onCopy(rowIndexes, columnIndexes) copies the selection;
+    // onPushDown(state), if given, re-runs the query with the grid's sort and filters when rows are missing
+    constructor(container, columns, rows, { renderCell, cellText, sortValue = null, onFetchMore, onCopy = null, onPushDown = null }) {
+        this.columns = columns;
+        this.rows = rows;
+        this.renderCell = renderCell;
+        this.cellText = cellText;
+        this.sortValue = sortValue;
+        this.onCopy = onCopy;
+        this.onPushDown = onPushDown;
+        this.rowHeight = 0;
+        this.frame = null;
+
+        this.widths = this.columnWidths();
+        this.order = columns.map((_, index) => index);
+        this.hidden = new Set();
+        this.frozen = true;
+        // [{ col, desc }], most significant key first; filters map a column index to its filter text
+        this.sort = [];
+        this.filters = new Map();
+        this.view = null;
+        this.viewSize = 0;
+        // { anchor: [row, col], focus: [row, col] } in view rows and visible columns
+        this.selection = null;
+        this.selecting = false;
+        this.resizing = false;
+        this.dragged = null;
+        // Set by the owner: true while rows exist that haven't been loaded
+        this.truncated = false;
+
+        container.innerHTML = `
+            <div class="grid-viewport" tabindex="0">
+                <table class="results-table grid-table">
+                    <colgroup></colgroup>
+                    <thead>
+                        <tr class="grid-header-row"></tr>
+                        <tr class="grid-filter-row"></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="grid-footer">
+                <span class="grid-count"></span>
+                <span class="grid-view-note"></span>
+                <button class="fetch-more-btn">Fetch more</button>
+                <button class="fetch-more-btn grid-pushdown-btn" style="display: none;" title="Re-run the query with this sort and these filters, so they cover every row">Apply to full query</button>
+                <span class="grid-columns">
+                    <button class="grid-columns-btn" title="Show, hide and freeze columns">Columns</button>
+                    <div class="grid-columns-menu" style="display: none;"></div>
+                </span>
+            </div>
+        `;
+
+        this.viewport = container.querySelector('.grid-viewport');
+        this.table = container.querySelector('table');
+        this.colgroup = container.querySelector('colgroup');
+        this.headerRow = container.querySelector('.grid-header-row');
+        this.filterRow = container.querySelector('.grid-filter-row');
+        this.tbody = container.querySelector('tbody');
+        this.countLabel = container.querySelector('.grid-count');
+        this.viewNote = container.querySelector('.grid-view-note');
+        this.fetchMoreBtn = container.querySelector('.fetch-more-btn');
+        this.pushDownBtn = container.querySelector('.grid-pushdown-btn');
+        this.columnsMenu = container.querySelector('.grid-columns-menu');
+
+        this.viewport.addEventListener('scroll', () => this.scheduleRender());
+        this.fetchMoreBtn.addEventListener('click', () => onFetchMore());
+        this.pushDownBtn.addEventListener('click', () => this.onPushDown(this.getState()));
+        container.querySelector('.grid-columns-btn').addEventListener('click', () => this.toggleColumnsMenu());
+        this.bindHeaderEvents();
+        this.bindColumnsMenuEvents();
+        this.bindSelectionEvents();
+        this.renderLayout();
+    }
+
+    // Fixed widths from the header and a sample of rows, so columns don't jump while scrolling
+    columnWidths() {
+        const sample = this.rows.slice(0, 200);
+        return this.columns.map((col, index) => {
+            const longest = sample.reduce((max, row) => Math.max(max, row[index] === null ? 4 : this.cellText(row[index], index).length), String(col).length);
+            return Math.min(320, Math.max(80, longest * 8 + 24));
+        });
+    }
+
+    visibleColumns() {
+        return this.order.filter(col => !this.hidden.has(col));
+    }
+
+    // Sort, filters and column layout, to carry over to a re-run of the same query
+    getState() {
+        return {
+            sort: this.sort.map(entry => ({ ...entry })),
+            filters: Array.from(this.filters, ([col, text]) => ({ col, text })),
+            order: [...this.order],
+            hidden: Array.from(this.hidden),
+            widths: [...this.widths],
+            frozen: this.frozen
+        };
+    }
+
+    setState(state) {
+        if (state.order.length !== this.columns.length) return;
+        this.sort = state.sort.map(entry => ({ ...entry }));
+        this.filters = new Map(state.filters.map(({ col, text }) => [col, text]));
+        this.order = [...state.order];
+        this.hidden = new Set(state.hidden);
+        this.widths = [...state.widths];
+        this.frozen = state.frozen;
+        this.renderLayout();
+    }
+
+    bindHeaderEvents() {
+        // Click sorts by the column alone, Shift+click adds it to the sort; each click cycles ascending, descending, off
+        this.headerRow.addEventListener('click', (e) => {
+            const th = e.target.closest('th');
+            if (!th || this.resizing || e.target.classList.contains('grid-resize')) return;
+            this.toggleSort(Number(th.dataset.col), e.shiftKey);
+        });
+
+        this.headerRow.addEventListener('mousedown', (e) => {
+            if (e.target.classList.contains('grid-resize')) this.startResize(e, Number(e.target.closest('th').dataset.col));
+        });
+
+        this.headerRow.addEventListener('dragstart', (e) => {
+            const th = e.target.closest('th');
+            if (!th || this.resizing) {
+                e.preventDefault();
+                return;
+            }
+            this.dragged = Number(th.dataset.col);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.columns[this.dragged]);
+        });
+        this.headerRow.addEventListener('dragover', (e) => {
+            if (this.dragged !== null && e.target.closest('th')) e.preventDefault();
+        });
+        this.headerRow.addEventListener('drop', (e) => {
+            const th = e.target.closest('th');
+            if (this.dragged === null || !th) return;
+            e.preventDefault();
+            this.moveColumn(this.dragged, Number(th.dataset.col));
+        });
+        this.headerRow.addEventListener('dragend', () => {
+            this.dragged = null;
+        });
+
+        this.filterRow.addEventListener('input', (e) => {
+            const col = Number(e.target.dataset.col);
+            if (e.target.value.trim()) {
+                this.filters.set(col, e.target.value);
+            } else {
+                this.filters.delete(col);
+            }
+            this.invalidate();
+        });
+    }
+
+    toggleSort(col, add) {
+        const index = this.sort.findIndex(entry => entry.col === col);
+        const current = index === -1 ? null : this.sort[index];
+        if (!add) this.sort = current ? [current] : [];
+
+        if (!current) {
+            this.sort.push({ col, desc: false });
+        } else if (!current.desc) {
+            current.desc = true;
+        } else {
+            this.sort = this.sort.filter(entry => entry !== current);
+        }
+        this.renderHeaderRow();
+        this.invalidate();
+    }
+
+    moveColumn(from, to) {
+        if (from === to) return;
+        const target = this.order.indexOf(to);
+        this.order.splice(this.order.indexOf(from), 1);
+        this.order.splice(target, 0, from);
+        this.selection = null;
+        this.renderLayout();
+    }
+
+    startResize(e, col) {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = this.widths[col];
+        const colElement = this.colgroup.children[this.visibleColumns().indexOf(col)];
+        this.resizing = true;
+
+        const move = (event) => {
+            this.widths[col] = Math.max(RESULT_GRID_MIN_COLUMN_WIDTH, startWidth + event.clientX - startX);
+            colElement.style.width = `${this.widths[col]}px`;
+            this.table.style.width = `${this.tableWidth()}px`;
+        };
+        const stop = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', stop);
+            // The click that ends the drag lands on the header; don't let it sort
+            setTimeout(() => {
+                this.resizing = false;
+            }, 0);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', stop);
+    }
+
+    tableWidth() {
+        return this.visibleColumns().reduce((sum, col) => sum + this.widths[col], 0);
+    }
+
+    toggleColumnsMenu() {
+        const open = this.columnsMenu.style.display === 'none';
+        this.columnsMenu.style.display = open ? '' : 'none';
+        if (!open) return;
+
+        this.columnsMenu.innerHTML = `
+            <label><input type="checkbox" data-freeze ${this.frozen ? 'checked' : ''}> Freeze first column</label>
+            <hr>
+            ${this.order.map(col => `
+                <label><input type="checkbox" data-col="${col}" ${this.hidden.has(col) ? '' : 'checked'}> ${HTMLText.escape(this.columns[col])}</label>
+            `).join('')}
+            <button class="grid-show-all">Show all</button>
+        `;
+    }
+
+    // The menu is rebuilt on every open, so its controls are handled here once
+    bindColumnsMenuEvents() {
+        this.columnsMenu.addEventListener('click', (e) => {
+            if (!e.target.closest('.grid-show-all')) return;
+            this.hidden.clear();
+            this.columnsMenu.querySelectorAll('[data-col]').forEach(box => {
+                box.checked = true;
+            });
+            this.renderLayout();
+        });
+        this.columnsMenu.addEventListener('change', (e) => {
+            if (e.target.hasAttribute('data-freeze')) {
+                this.frozen = e.target.checked;
+            } else if (e.target.checked) {
+                this.hidden.delete(Number(e.target.dataset.col));
+            } else if (this.visibleColumns().length > 1) {
+                this.hidden.add(Number(e.target.dataset.col));
+            } else {
+                e.target.checked = true;
+                return;
+            }
+            this.selection = null;
+            this.renderLayout();
+        });
+    }
+
+    bindSelectionEvents() {
+        // Drag across cells for a rectangular selection; Shift+click extends it
+        this.tbody.addEventListener('mousedown', (e) => {
+            const point = this.cellPoint(e.target);
+            if (e.button !== 0 || !point) return;
+            this.selection = { anchor: e.shiftKey && this.selection ? this.selection.anchor : point, focus: point };
+            this.selecting = true;
+            this.viewport.focus({ preventScroll: true });
+            this.paintSelection();
+
+            const stop = () => {
+                this.selecting = false;
+                document.removeEventListener('mouseup', stop);
+            };
+            document.addEventListener('mouseup', stop);
+        });
+
+        this.tbody.addEventListener('mouseover', (e) => {
+            const point = this.selecting && this.cellPoint(e.target);
+            if (!point) return;
+            this.selection.focus = point;
+            this.paintSelection();
+        });
+
+        // Filter inputs live inside the viewport and keep their own shortcuts
+        this.viewport.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT') return;
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && key === 'c' && this.selection) {
+                e.preventDefault();
+                this.copySelection();
+            } else if ((e.ctrlKey || e.metaKey) && key === 'a' && this.view.length > 0) {
+                e.preventDefault();
+                this.selection = { anchor: [0, 0], focus: [this.view.length - 1, this.visibleColumns().length - 1] };
+                this.paintSelection();
+            } else if (e.key === 'Escape') {
+                this.selection = null;
+                this.paintSelection();
+            }
+        });
+    }
+
+    cellPoint(target) {
+        const cell = target.closest('td');
+        if (!cell || !cell.parentElement.dataset.viewRow) return null;
+        return [Number(cell.parentElement.dataset.viewRow), cell.cellIndex];
+    }
+
+    selectionBox() {
+        if (!this.selection) return null;
+        const { anchor, focus } = this.selection;
+        return {
+            top: Math.min(anchor[0], focus[0]),
+            bottom: Math.max(anchor[0], focus[0]),
+            left: Math.min(anchor[1], focus[1]),
+            right: Math.max(anchor[1], focus[1])
+        };
+    }
+
+    // Updates the classes in place: rebuilding the rows mid-click would swallow the click itself
+    paintSelection() {
+        const box = this.selectionBox();
+        this.tbody.querySelectorAll('tr[data-view-row]').forEach(tr => {
+            const row = Number(tr.dataset.viewRow);
+            Array.from(tr.cells).forEach((cell, col) => {
+                cell.classList.toggle('grid-selected', !!box && row >= box.top && row <= box.bottom && col >= box.left && col <= box.right);
+            });
+        });
+    }
+
+    copySelection() {
+        const box = this.selectionBox();
+        if (!box || !this.onCopy) return;
+        this.onCopy(this.view.slice(box.top, box.bottom + 1), this.visibleColumns().slice(box.left, box.right + 1));
+    }
+
+    // "text" matches cells containing it, in any case; NULL and !NULL test for nulls; a leading =, !=, <>,
+    // <, <=, > or >= compares, as numbers when both sides are numeric
+    static parseFilter(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return null;
+        if (/^null$/i.test(trimmed)) return { op: 'null' };
+        if (/^!\s*null$/i.test(trimmed)) return { op: 'notnull' };
+
+        const match = trimmed.match(/^(<>|!=|<=|>=|=|<|>)\s*(.*)$/);
+        if (!match) return { op: 'contains', value: trimmed };
+        const value = match[2];
+        const number = value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+        return { op: match[1] === '<>' ? '!=' : match[1], value, number };
+    }
+
+    matches(value, col, filter) {
+        if (filter.op === 'null') return value === null || value === undefined;
+        if (value === null || value === undefined) return false;
+        if (filter.op === 'notnull') return true;
+        if (filter.op === 'contains') return this.cellText(value, col).toLowerCase().includes(filter.value.toLowerCase());
+
+        const key = this.sortKey(value, col);
+        const numeric = filter.number !== null && (typeof key === 'number' || typeof key === 'bigint');
+        const left = numeric ? Number(key) : this.cellText(value, col);
+        const right = numeric ? filter.number : filter.value;
+        switch (filter.op) {
+            case '=': return left === right;
+            case '!=': return left !== right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            default: return left >= right;
+        }
+    }
+
+    sortKey(value, col) {
+        if (value === null || value === undefined) return null;
+        if (this.sortValue) return this.sortValue(value, col);
+        return ['number', 'bigint', 'string', 'boolean'].includes(typeof value) ? value : this.cellText(value, col);
+    }
+
+    // Nulls sort last in both directions, as DuckDB orders them by default; ties keep the query's order
+    buildView() {
+        const filters = Array.from(this.filters, ([col, text]) => [col, ResultGrid.parseFilter(text)]).filter(([, filter]) => filter);
+        const view = [];
+        for (let i = 0; i < this.rows.length; i++) {
+            if (filters.every(([col, filter]) => this.matches(this.rows[i][col], col, filter))) view.push(i);
+        }
+
+        if (this.sort.length > 0) {
+            const keys = this.sort.map(({ col }) => {
+                const column = new Array(this.rows.length);
+                view.forEach(index => {
+                    column[index] = this.sortKey(this.rows[index][col], col);
+                });
+                return column;
+            });
+            view.sort((a, b) => {
+                for (let k = 0; k < keys.length; k++) {
+                    const x = keys[k][a];
+                    const y = keys[k][b];
+                    if (x === y) continue;
+                    if (x === null) return 1;
+                    if (y === null) return -1;
+                    if (x < y) return this.sort[k].desc ? 1 : -1;
+                    if (x > y) return this.sort[k].desc ? -1 : 1;
+                }
+                return a - b;
+            });
+        }
+
+        this.view = view;
+        this.viewSize = this.rows.length;
+    }
+
+    // Sort or filters changed: the selection no longer points at the same cells
+    invalidate() {
+        this.view = null;
+        this.selection = null;
+        this.viewport.scrollTop = 0;
+        this.scheduleRender();
+    }
+
+    renderLayout() {
+        const visible = this.visibleColumns();
+        this.table.style.width = `${this.tableWidth()}px`;
+        this.table.classList.toggle('grid-frozen', this.frozen);
+        this.colgroup.innerHTML = visible.map(col => `<col style="width: ${this.widths[col]}px">`).join('');
+        this.filterRow.innerHTML = visible.map(col => `
+            <th><input class="grid-filter" data-col="${col}" placeholder="Filter" title="Text to search for, NULL, !NULL, or a comparison such as >= 10" value="${HTMLText.escape(this.filters.get(col) || '')}"></th>
+        `).join('');
+        this.renderHeaderRow();
+        this.view = null;
+        this.render();
+    }
+
+    renderHeaderRow() {
+        this.headerRow.innerHTML = this.visibleColumns().map(col => {
+            const key = this.sort.findIndex(entry => entry.col === col);
+            const indicator = key === -1 ? '' : `${this.sort[key].desc ? '▼' : '▲'}${this.sort.length > 1 ? key + 1 : ''}`;
+            return `
+                <th data-col="${col}" draggable="true" title="${HTMLText.escape(`${this.columns[col]} - click to sort, Shift+click to add to the sort, drag to move`)}">
+                    <span class="grid-sort">${indicator}</span>${HTMLText.escape(this.columns[col])}<span class="grid-resize"></span>
+                </th>
+            `;
+        }).join('');
+    }
+
+    scheduleRender() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        // Fetch more appends to rows; the view then needs the new rows filtered and sorted in
+        if (this.view === null || this.viewSize !== this.rows.length) this.buildView();
+
+        const visible = this.visibleColumns();
+        const box = this.selectionBox();
+        const rowHeight = this.rowHeight || RESULT_GRID_ROW_HEIGHT;
+        const first = Math.max(0, Math.floor(this.viewport.scrollTop / rowHeight) - RESULT_GRID_OVERSCAN);
+        const count = Math.ceil((this.viewport.clientHeight || 600) / rowHeight) + RESULT_GRID_OVERSCAN * 2;
+        const last = Math.min(this.view.length, first + count);
+        const spacer = height => `<tr class="grid-spacer" style="height: ${height}px"><td colspan="${visible.length}"></td></tr>`;
+
+        let html = first > 0 ? spacer(first * rowHeight) : '';
+        for (let i = first; i < last; i++) {
+            const index = this.view[i];
+            const row = this.rows[index];
+            const selected = c => box && i >= box.top && i <= box.bottom && c >= box.left && c <= box.right;
+            html += `<tr class="${i % 2 ? 'grid-row-alt' : ''}" data-view-row="${i}">${visible.map((col, c) => `<td${selected(c) ? ' class="grid-selected"' : ''}>${this.renderCell(row[col], col, index)}</td>`).join('')}</tr>`;
+        }
+        if (last < this.view.length) html += spacer((this.view.length - last) * rowHeight);
+        this.tbody.innerHTML = html;
+        this.updateViewNote();
+
+        // The real row height depends on fonts and padding; measure it once and lay out again
+        if (!this.rowHeight) {
+            const row = this.tbody.querySelector('tr:not(.grid-spacer)');
+            const measured = row ? row.getBoundingClientRect().height : 0;
+            if (measured) {
+                this.rowHeight = measured;
+                if (measured !== RESULT_GRID_ROW_HEIGHT) this.render();
+            }
+        }
+    }
+
+    updateViewNote() {
+        const arranged = this.sort.length > 0 || this.filters.size > 0;
+        const notes = [];
+        if (this.filters.size > 0) notes.push(`${this.view.length.toLocaleString()} match the filters`);
+        if (arranged && this.truncated) notes.push('sorted and filtered within the loaded rows');
+        this.viewNote.textContent = notes.length ? `(${notes.join('; ')})` : '';
+        this.pushDownBtn.style.display = arranged && this.truncated && this.onPushDown ? '' : 'none';
+    }
+
+    setFooter(text, canFetchMore, busy = false) {
+        this.countLabel.textContent = text;
+        this.fetchMoreBtn.style.display = canFetchMore ? '' : 'none';
+        this.fetchMoreBtn.disabled = busy;
+        this.fetchMoreBtn.textContent = busy ? 'Fetching...' : 'Fetch more';
+        this.pushDownBtn.disabled = busy;
+        if (this.view) this.updateViewNote();
+    }
+}
+
+const RESULT_GRID_ROW_HEIGHT = 37;
+const RESULT_GRID_OVERSCAN = 10;
+const RESULT_GRID_MIN_COLUMN_WIDTH = 40;
+const DEFAULT_ROW_LIMIT = 10000;
+const BLOB_PREVIEW_BYTES = 32;
+const MAX_ROW_LIMIT = 500000;
+
+// Draws the loaded result rows as an SVG chart; x/y/series name result columns by index
+class ResultChart {
+    constructor(container, result, { onDownload, options = null }) {
+        this.container = container;
+        this.result = result;
+        this.onDownload = onDownload;
+        this.types = result.columns.map((_, index) => (result.fields ? result.fields[index].type : null));
+        this.kinds = result.columns.map((_, index) => this.columnKind(index));
+        this.options = { ...this.defaultOptions(), ...options };
+
+        container.innerHTML = `
+            <div class="chart-controls"></div>
+            <div class="chart-note"></div>
+            <div class="chart-canvas"></div>
+        `;
+        this.renderControls();
+    }
+
+    // 'number' and 'time' columns get linear axes; everything else is treated as categories
+    columnKind(index) {
+        const type = this.types[index];
+        if (type) {
+            switch (type.typeId) {
+                case ARROW_TYPE.Int:
+                case ARROW_TYPE.Float:
+                case ARROW_TYPE.Decimal:
+                    return 'number';
+                case ARROW_TYPE.Date:
+                case ARROW_TYPE.Timestamp:
+                    return 'time';
+                default:
+                    return 'category';
+            }
+        }
+
+        const sample = this.result.rows.find(row => row[index] !== null && row[index] !== undefined);
+        return sample && (typeof sample[index] === 'number' || typeof sample[index] === 'bigint') ? 'number' : 'category';
+    }
+
+    // Time series become lines, categories with a measure become bars, two measures a scatter, one a histogram
+    defaultOptions() {
+        const indexes = this.result.columns.map((_, index) => index);
+        const numbers = indexes.filter(index => this.kinds[index] === 'number');
+        const time = indexes.find(index => this.kinds[index] === 'time');
+        const category = indexes.find(index => this.kinds[index] === 'category');
+
+        if (time !== undefined && numbers.length > 0) return { type: 'line', x: time, y: numbers[0], series: null };
+        if (category !== undefined && numbers.length > 0) return { type: 'bar', x: category, y: numbers[0], series: null };
+        if (numbers.length > 1) return { type: 'scatter', x: numbers[0], y: numbers[1], series: null };
+        if (numbers.length === 1) return { type: 'histogram', x: numbers[0], y: null, series: null };
+        return { type: 'bar', x: 0, y: null, series: null };
+    }
+
+    renderControls() {
+        const controls = this.container.querySelector('.chart-controls');
+        const columnOptions = (selected, allowNone) => (allowNone ? `<option value="">${allowNone}</option>` : '') +
+            this.result.columns.map((name, index) => `<option value="${index}" ${index === selected ? 'selected' : ''}>${HTMLText.escape(name)}</option>`).join('');
+
+        controls.innerHTML = `
+            <label>Chart <select data-option="type">
+                ${CHART_TYPES.map(type => `<option value="${type}" ${type === this.options.type ? 'selected' : ''}>${type}</option>`).join('')}
+            </select></label>
+            <label>X <select data-option="x">${columnOptions(this.options.x, null)}</select></label>
+            <label>Y <select data-option="y">${columnOptions(this.options.y, this.options.type === 'bar' ? 'Count' : 'None')}</select></label>
+            <label>Series <select data-option="series">${columnOptions(this.options.series, 'None')}</select></label>
+            <button class="chart-download" data-format="png">PNG</button>
+            <button class="chart-download" data-format="svg">SVG</button>
+        `;
+        controls.querySelector('[data-option="y"]').disabled = this.options.type === 'histogram';
+        controls.querySelector('[data-option="series"]').disabled = this.options.type === 'histogram';
+
+        controls.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                const option = select.dataset.option;
+                this.options[option] = option === 'type' ? select.value : select.value === '' ? null : Number(select.value);
+                this.renderControls();
+            });
+        });
+        controls.querySelectorAll('.chart-download').forEach(button => {
+            button.addEventListener('click', () => {
+                this.download(button.dataset.format).catch((error) => {
+                    console.error('Chart download failed:', error);
+                    this.container.querySelector('.chart-note').textContent = error.message;
+                });
+            });
+        });
+
+        this.render();
+    }
+
+    render() {
+        const canvas = this.container.querySelector('.chart-canvas');
+        const note = this.container.querySelector('.chart-note');
+        const width = Math.max(400, canvas.clientWidth || 800);
+
+        try {
+            const { svg, notes } = this.build(width, CHART_HEIGHT);
+            canvas.innerHTML = svg;
+            if (this.result.source && this.result.source.hasMore) {
+                notes.unshift(`Charting the ${this.result.rows.length.toLocaleString()} rows loaded so far`);
+            }
+            note.textContent = notes.join(' · ');
+        } catch (error) {
+            canvas.innerHTML = '';
+            note.textContent = error.message;
+        }
+        this.container.querySelectorAll('.chart-download').forEach(button => {
+            button.disabled = !canvas.querySelector('svg');
+        });
+    }
+
+    // Numeric view of a cell for a linear axis, or null when it has none
+    numberAt(row, index) {
+        const value = row[index];
+        if (value === null || value === undefined) return null;
+
+        const type = this.types[index];
+        const number = type && type.typeId === ARROW_TYPE.Decimal
+            ? Number(ValueFormatter.formatDecimal(value, type.scale))
+            : Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    labelAt(row, index) {
+        const text = ValueFormatter.format(row[index], this.types[index]);
+        return text === null ? 'NULL' : text;
+    }
+
+    formatTick(value, index) {
+        if (this.kinds[index] === 'time') {
+            return this.types[index] && this.types[index].typeId === ARROW_TYPE.Date
+                ? ValueFormatter.formatDate(value)
+                : ValueFormatter.formatTimestamp(value).replace(/:00$/, '');
+        }
+        return Number(value.toPrecision(6)).toLocaleString();
+    }
+
+    build(width, height) {
+        const { type, x, y, series } = this.options;
+        const rows = this.result.rows;
+        const notes = [];
+
+        if (type === 'histogram') return this.buildHistogram(width, height, notes);
+        if (y !== null && this.kinds[y] === 'category') throw new Error(`Y column "${this.result.columns[y]}" is not numeric`);
+        if (y === null && type !== 'bar') throw new Error('Pick a numeric Y column');
+
+        // Group points by series value, capped so the legend stays readable
+        const groups = new Map();
+        for (const row of rows) {
+            const key = series === null ? '' : this.labelAt(row, series);
+            if (!groups.has(key)) {
+                if (groups.size >= MAX_CHART_SERIES) continue;
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+        }
+        if (series !== null && new Set(rows.map(row => this.labelAt(row, series))).size > MAX_CHART_SERIES) {
+            notes.push(`Only the first ${MAX_CHART_SERIES} series are shown`);
+        }
+
+        if (type === 'bar' || this.kinds[x] === 'category') return this.buildBands(width, height, groups, notes);
+        return this.buildLinear(width, height, groups, notes);
+    }
+
+    // Bars (and lines over categories): one band per distinct X label, summing Y (or counting rows) within it
+    buildBands(width, height, groups, notes) {
+        const { type, x, y } = this.options;
+        const labels = [];
+        const seen = new Set();
+        const sums = Array.from(groups.values()).map(rows => {
+            const totals = new Map();
+            for (const row of rows) {
+                const label = this.labelAt(row, x);
+                if (!seen.has(label)) {
+                    if (labels.length >= MAX_CHART_CATEGORIES) continue;
+                    seen.add(label);
+                    labels.push(label);
+                }
+                const value = y === null ? 1 : this.numberAt(row, y);
+                if (value !== null) totals.set(label, (totals.get(label) || 0) + value);
+            }
+            return totals;
+        });
+        if (labels.length >= MAX_CHART_CATEGORIES) notes.push(`Only the first ${MAX_CHART_CATEGORIES} categories are shown`);
+
+        const values = sums.flatMap(totals => Array.from(totals.values()));
+        const [low, high] = this.extent(values.concat(0));
+        const yTicks = this.ticks(low, high);
+        const plot = this.plotArea(width, height, yTicks, y === null ? 'count' : y);
+        const yScale = this.scale(yTicks, [plot.bottom, plot.top]);
+        const band = (plot.right - plot.left) / Math.max(1, labels.length);
+        const keys = Array.from(groups.keys());
+
+        let marks = '';
+        sums.forEach((totals, s) => {
+            const color = CHART_COLORS[s % CHART_COLORS.length];
+            if (type === 'bar') {
+                const barWidth = band * 0.8 / sums.length;
+                labels.forEach((label, i) => {
+                    if (!totals.has(label)) return;
+                    const value = totals.get(label);
+                    const top = yScale(Math.max(0, value));
+                    const left = plot.left + i * band + band * 0.1 + s * barWidth;
+                    marks += `<rect x="${left}" y="${top}" width="${Math.max(1, barWidth - 1)}" height="${Math.abs(yScale(0) - yScale(value))}" fill="${color}"><title>${HTMLText.escape(`${label}: ${value}`)}</title></rect>`;
+                });
+            } else {
+                const points = labels.map((label, i) => (totals.has(label) ? [plot.left + (i + 0.5) * band, yScale(totals.get(label))] : null)).filter(Boolean);
+                marks += this.drawSeries(points, color, yScale(0));
+            }
+        });
+
+        const xAxis = labels.map((label, i) => {
+            const cx = plot.left + (i + 0.5) * band;
+            const text = label.length > 14 ? label.slice(0, 13) + '…' : label;
+            return labels.length > 12
+                ? `<text x="${cx}" y="${plot.bottom + 8}" text-anchor="end" transform="rotate(-40 ${cx} ${plot.bottom + 8})">${HTMLText.escape(text)}</text>`
+                : `<text x="${cx}" y="${plot.bottom + 16}" text-anchor="middle">${HTMLText.escape(text)}</text>`;
+        }).join('');
+
+        return { svg: this.frame(width, height, plot, yTicks, yScale, xAxis, marks, keys), notes };
+    }
+
+    // Lines, areas and scatters over a numeric or time X axis
+    buildLinear(width, height, groups, notes) {
+        const { type, x, y } = this.options;
+        const pointSets = Array.from(groups.values()).map(rows => rows
+            .map(row => [this.numberAt(row, x), this.numberAt(row, y)])
+            .filter(([px, py]) => px !== null && py !== null));
+        if (type !== 'scatter') pointSets.forEach(points => points.sort((a, b) => a[0] - b[0]));
+
+        const all = pointSets.flat();
+        if (all.length === 0) throw new Error('No rows have numeric X and Y values');
+        const xTicks = this.ticks(...this.extent(all.map(p => p[0])));
+        const yValues = all.map(p => p[1]);
+        const yTicks = this.ticks(...this.extent(type === 'area' ? yValues.concat(0) : yValues));
+
+        const plot = this.plotArea(width, height, yTicks, y);
+        const xScale = this.scale(xTicks, [plot.left, plot.right]);
+        const yScale = this.scale(yTicks, [plot.bottom, plot.top]);
+
+        let marks = '';
+        pointSets.forEach((points, s) => {
+            const color = CHART_COLORS[s % CHART_COLORS.length];
+            const scaled = points.map(([px, py]) => [xScale(px), yScale(py)]);
+            if (type === 'scatter') {
+                marks += scaled.map(([px, py]) => `<circle cx="${px}" cy="${py}" r="3" fill="${color}" fill-opacity="0.7"/>`).join('');
+            } else {
+                marks += this.drawSeries(scaled, color, type === 'area' ? yScale(Math.max(0, yTicks[0])) : null);
+            }
+        });
+
+        const xAxis = xTicks.map(tick => `
+            <line x1="${xScale(tick)}" x2="${xScale(tick)}" y1="${plot.bottom}" y2="${plot.bottom + 4}" stroke="#7f8c8d"/>
+            <text x="${xScale(tick)}" y="${plot.bottom + 16}" text-anchor="middle">${HTMLText.escape(this.formatTick(tick, x))}</text>
+        `).join('');
+
+        return { svg: this.frame(width, height, plot, yTicks, yScale, xAxis, marks, Array.from(groups.keys())), notes };
+    }
+
+    buildHistogram(width, height, notes) {
+        const { x } = this.options;
+        if (this.kinds[x] === 'category') throw new Error(`X column "${this.result.columns[x]}" is not numeric`);
+
+        const values = this.result.rows.map(row => this.numberAt(row, x)).filter(value => value !== null);
+        if (values.length === 0) throw new Error('No numeric values to bin');
+
+        // Sturges' rule, on nice bin boundaries
+        const [low, high] = this.extent(values);
+        const xTicks = this.ticks(low, high, Math.min(50, Math.ceil(Math.log2(values.length)) + 1));
+        const step = xTicks.length > 1 ? xTicks[1] - xTicks[0] : 1;
+        const start = xTicks[0];
+        const counts = new Array(Math.max(1, xTicks.length - 1)).fill(0);
+        values.forEach(value => {
+            counts[Math.min(counts.length - 1, Math.floor((value - start) / step))]++;
+        });
+        notes.push(`${counts.length} bins of width ${Number(step.toPrecision(6))}`);
+
+        const yTicks = this.ticks(0, this.extent(counts)[1]);
+        const plot = this.plotArea(width, height, yTicks, 'count');
+        const xScale = this.scale([start, start + step * counts.length], [plot.left, plot.right]);
+        const yScale = this.scale(yTicks, [plot.bottom, plot.top]);
+
+        const marks = counts.map((count, i) => {
+            const left = xScale(start + i * step);
+            return `<rect x="${left}" y="${yScale(count)}" width="${Math.max(1, xScale(start + (i + 1) * step) - left - 1)}" height="${plot.bottom - yScale(count)}" fill="${CHART_COLORS[0]}"><title>${HTMLText.escape(`[${this.formatTick(start + i * step, x)}, ${this.formatTick(start + (i + 1) * step, x)}): ${count}`)}</title></rect>`;
+        }).join('');
+        const xAxis = xTicks.map(tick => `
+            <text x="${xScale(tick)}" y="${plot.bottom + 16}" text-anchor="middle">${HTMLText.escape(this.formatTick(tick, x))}</text>
+        `).join('');
+
+        return { svg: this.frame(width, height, plot, yTicks, yScale, xAxis, marks, ['']), notes };
+    }
+
+    drawSeries(points, color, baseline) {
+        if (points.length === 0) return '';
+        const path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${px},${py}`).join(' ');
+        const area = baseline === null ? ''
+            : `<path d="${path} L${points[points.length - 1][0]},${baseline} L${points[0][0]},${baseline} Z" fill="${color}" fill-opacity="0.25"/>`;
+        return `${area}<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>`;
+    }
+
+    plotArea(width, height, yTicks, yIndex) {
+        const labelWidth = Math.max(...yTicks.map(tick => this.formatTick(tick, yIndex === 'count' ? -1 : yIndex).length));
+        const bottomMargin = this.options.type !== 'histogram' && (this.options.type === 'bar' || this.kinds[this.options.x] === 'category') ? 70 : 40;
+        return { left: 20 + labelWidth * 7, right: width - 20, top: 30, bottom: height - bottomMargin };
+    }
+
+    frame(width, height, plot, yTicks, yScale, xAxis, marks, seriesKeys) {
+        const { x, y, series, type } = this.options;
+        const yLabel = type === 'histogram' || y === null ? 'count' : this.result.columns[y];
+        const grid = yTicks.map(tick => `
+            <line x1="${plot.left}" x2="${plot.right}" y1="${yScale(tick)}" y2="${yScale(tick)}" stroke="#ecf0f1"/>
+            <text x="${plot.left - 6}" y="${yScale(tick) + 4}" text-anchor="end">${HTMLText.escape(this.formatTick(tick, y === null || type === 'histogram' ? -1 : y))}</text>
+        `).join('');
+        const legend = series === null ? '' : seriesKeys.map((key, i) => `
+            <rect x="${plot.left + i * 110}" y="8" width="10" height="10" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/>
+            <text x="${plot.left + i * 110 + 14}" y="17">${HTMLText.escape(key.length > 14 ? key.slice(0, 13) + '…' : key)}</text>
+        `).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11" fill="#2c3e50">
+            <rect width="${width}" height="${height}" fill="white"/>
+            ${grid}
+            <line x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}" stroke="#7f8c8d"/>
+            <line x1="${plot.left}" x2="${plot.left}" y1="${plot.top}" y2="${plot.bottom}" stroke="#7f8c8d"/>
+            ${xAxis}
+            ${marks}
+            ${legend}
+            <text x="${plot.right}" y="${height - 6}" text-anchor="end" font-weight="bold">${HTMLText.escape(this.result.columns[x])}</text>
+            <text x="12" y="${plot.top - 10}" font-weight="bold">${HTMLText.escape(yLabel)}</text>
+        </svg>`;
+    }
+
+    // Math.min(...values) overflows the call stack on large results
+    extent(values) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return [min, max];
+    }
+
+    // Round tick values covering [min, max]; the first and last ticks are the axis domain
+    ticks(min, max, count = 5) {
+        if (min === max) {
+            const pad = Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+        const rough = (max - min) / count;
+        let step = Math.pow(10, Math.floor(Math.log10(rough)));
+        const error = rough / step;
+        if (error >= 7.5) step *= 10;
+        else if (error >= 3.5) step *= 5;
+        else if (error >= 1.5) step *= 2;
+
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            ticks.push(Number(tick.toPrecision(12)));
+        }
+        if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+        return ticks;
+    }
+
+    scale(domain, range) {
+        const d0 = domain[0];
+        const d1 = domain[domain.length - 1];
+        return value => range[0] + (value - d0) / (d1 - d0 || 1) * (range[1] - range[0]);
+    }
+
+    svgText() {
+        const svg = this.container.querySelector('.chart-canvas svg');
+        if (!svg) throw new Error('There is no chart to download');
+        return new XMLSerializer().serializeToString(svg);
+    }
+
+    // Rasterizes the SVG through an <img> at twice the size for sharper output
+    toPng() {
+        const text = this.svgText();
+        const svg = this.container.querySelector('.chart-canvas svg');
+        const width = Number(svg.getAttribute('width'));
+        const height = Number(svg.getAttribute('height'));
+        const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * 2;
+                canvas.height = height * 2;
+                const context = canvas.getContext('2d');
+                context.scale(2, 2);
+                context.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to render PNG'))), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render PNG'));
+            };
+            image.src = url;
+        });
+    }
+
+    async download(format) {
+        if (format === 'svg') {
+            this.onDownload(this.svgText(), 'chart.svg', 'image/svg+xml');
+        } else {
+            this.onDownload(await this.toPng(), 'chart.png', 'image/png');
+        }
+    }
+}
+
+const CHART_TYPES = ['bar', 'line', 'area', 'scatter', 'histogram'];
+const CHART_COLORS = ['#3498db', '#e67e22', '#27ae60', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#34495e', '#d35400', '#7f8c8d'];
+const CHART_HEIGHT = 400;
+const MAX_CHART_SERIES = 10;
+const MAX_CHART_CATEGORIES = 100;
+
+// Operator tree from DuckDB's EXPLAIN (FORMAT JSON) output, drawn as nested collapsible boxes
+class QueryPlan {
+    // EXPLAIN [ANALYZE] statements, with the rest of the statement after the keywords
+    static match(sql) {
+        const match = sql.match(/^\s*explain\s+(analyze\s+)?(?!\()([\s\S]*)$/i);
+        return match ? { analyze: Boolean(match[1]), sql: match[2] } : null;
+    }
+
+    // json is the explain_value DuckDB returns for EXPLAIN (FORMAT JSON)
+    static parse(json, analyze) {
+        const raw = JSON.parse(json);
+        const root = Array.isArray(raw) ? (raw.length === 1 ? raw[0] : { name: 'QUERY', children: raw }) : raw;
+
+        // EXPLAIN ANALYZE wraps the operators in a query node carrying the total latency
+        const isQueryNode = !root.operator_type && !root.operator_name && !root.name;
+        const top = isQueryNode && root.children && root.children.length === 1 ? root.children[0] : root;
+        const plan = {
+            analyze,
+            latency: typeof root.latency === 'number' ? root.latency : null,
+            root: this.node(top)
+        };
+
+        // Operator cost is its own time after ANALYZE, otherwise the optimizer's row estimate
+        const nodes = this.flatten(plan.root);
+        const cost = node => (analyze ? node.timing : node.estimated !== null ? node.estimated : node.cardinality) || 0;
+        const total = nodes.reduce((sum, node) => sum + cost(node), 0);
+        nodes.forEach(node => {
+            node.share = total > 0 ? cost(node) / total : 0;
+        });
+        plan.hottest = nodes.filter(node => node.share > 0).sort((a, b) => b.share - a.share).slice(0, 3);
+        return plan;
+    }
+
+    static node(raw) {
+        const extra = raw.extra_info || {};
+        const estimated = extra['Estimated Cardinality'] !== undefined ? Number(extra['Estimated Cardinality']) : null;
+        const details = Object.entries(extra)
+            .filter(([key]) => key !== 'Estimated Cardinality')
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+
+        return {
+            name: (raw.operator_name || raw.operator_type || raw.name || 'OPERATOR').trim(),
+            details,
+            estimated: Number.isFinite(estimated) ? estimated : null,
+            cardinality: typeof raw.operator_cardinality === 'number' ? raw.operator_cardinality : null,
+            timing: typeof raw.operator_timing === 'number' ? raw.operator_timing : null,
+            children: (raw.children || []).map(child => this.node(child)),
+            share: 0
+        };
+    }
+
+    static flatten(node) {
+        return [node, ...node.children.flatMap(child => this.flatten(child))];
+    }
+
+    static formatTiming(seconds) {
+        return seconds >= 1 ? `${seconds.toFixed(2)}s` : `${(seconds * 1000).toFixed(seconds < 0.001 ? 3 : 1)}ms`;
+    }
+
+    static html(plan) {
+        const heat = node => (node.share >= PLAN_HOT_SHARE ? 'plan-hot' : node.share >= PLAN_WARM_SHARE ? 'plan-warm' : '');
+        const renderNode = (node) => {
+            const stats = [];
+            if (node.cardinality !== null) stats.push(`${node.cardinality.toLocaleString()} rows`);
+            if (node.estimated !== null) stats.push(`~${node.estimated.toLocaleString()} est.`);
+            if (node.timing !== null) stats.push(this.formatTiming(node.timing));
+            if (node.share > 0) stats.push(`${Math.round(node.share * 100)}%`);
+
+            const box = `
+                <div class="plan-node ${heat(node)}">
+                    <div class="plan-name">${HTMLText.escape(node.name)}</div>
+                    <div class="plan-stats">${HTMLText.escape(stats.join(' · '))}</div>
+                    <div class="plan-bar"><span style="width: ${Math.round(node.share * 100)}%"></span></div>
+                    ${node.details.length ? `<div class="plan-details">${node.details.map(line => `<div>${HTMLText.escape(line)}</div>`).join('')}</div>` : ''}
+                </div>
+            `;
+            if (node.children.length === 0) return `<li>${box}</li>`;
+            return `<li><details open><summary>${box}</summary><ul>${node.children.map(renderNode).join('')}</ul></details></li>`;
+        };
+
+        const summary = [];
+        if (plan.latency !== null) summary.push(`Total ${this.formatTiming(plan.latency)}`);
+        if (plan.hottest.length) {
+            summary.push(`${plan.analyze ? 'Slowest' : 'Largest'} operators: ${plan.hottest.map(node => `${node.name} (${Math.round(node.share * 100)}%)`).join(', ')}`);
+        }
+
+        return `
+            <div class="plan-summary">${HTMLText.escape(summary.join(' · ') || (plan.analyze ? 'No timings reported' : 'Estimated plan'))}</div>
+            <ul class="plan-tree">${renderNode(plan.root)}</ul>
+        `;
+    }
+}
+
+// Share of the total cost at which an operator is highlighted
+const PLAN_HOT_SHARE = 0.3;
+const PLAN_WARM_SHARE = 0.1;
+
+// Per-column statistics for the Profile view. SimpleSQL results are profiled here over the loaded rows;
+// DuckDB builds the same shape from SUMMARIZE and a few aggregate queries (see DuckDBWorksheet.profileSource)
+class ColumnProfile {
+    // types are the Arrow field types, or null for SimpleSQL results
+    static fromRows(columns, rows, types) {
+        return columns.map((name, index) => {
+            const type = types[index];
+            const values = rows.map(row => row[index]).filter(value => value !== null && value !== undefined);
+            const text = value => ValueFormatter.format(value, type, { maxBytes: BLOB_PREVIEW_BYTES });
+            const counts = new Map();
+            values.forEach(value => {
+                const key = text(value);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+
+            const profile = {
+                name,
+                type: type ? String(type) : this.inferType(values),
+                count: rows.length,
+                nulls: rows.length - values.length,
+                distinct: counts.size,
+                numeric: this.isNumeric(type, values),
+                min: null,
+                max: null,
+                mean: null,
+                quantiles: null,
+                top: [],
+                histogram: []
+            };
+
+            if (profile.numeric) {
+                const numbers = values.map(value => this.toNumber(value, type)).filter(Number.isFinite).sort((a, b) => a - b);
+                if (numbers.length === 0) return profile;
+                profile.min = this.formatNumber(numbers[0]);
+                profile.max = this.formatNumber(numbers[numbers.length - 1]);
+                profile.mean = this.formatNumber(numbers.reduce((sum, value) => sum + value, 0) / numbers.length);
+                profile.quantiles = [0.25, 0.5, 0.75].map(q => this.formatNumber(this.quantile(numbers, q)));
+                profile.histogram = this.bin(numbers);
+                return profile;
+            }
+
+            // Strings, dates and booleans compare on their raw values; nested values have no order
+            const comparable = values.filter(value => ['number', 'bigint', 'string', 'boolean'].includes(typeof value));
+            if (comparable.length === values.length && values.length > 0) {
+                let min = values[0];
+                let max = values[0];
+                values.forEach(value => {
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                });
+                profile.min = text(min);
+                profile.max = text(max);
+            }
+            profile.top = Array.from(counts, ([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1))
+                .slice(0, PROFILE_TOP_VALUES);
+            return profile;
+        });
+    }
+
+    static isNumeric(type, values) {
+        if (type) return [ARROW_TYPE.Int, ARROW_TYPE.Float, ARROW_TYPE.Decimal].includes(type.typeId);
+        return values.length > 0 && values.every(value => typeof value === 'number' || typeof value === 'bigint');
+    }
+
+    static inferType(values) {
+        const kinds = new Set(values.map(value => {
+            if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'DOUBLE';
+            if (typeof value === 'bigint') return 'BIGINT';
+            if (typeof value === 'boolean') return 'BOOLEAN';
+            return typeof value === 'string' ? 'VARCHAR' : 'ANY';
+        }));
+        if (kinds.size === 0) return 'NULL';
+        if (kinds.size === 2 && kinds.has('INTEGER') && kinds.has('DOUBLE')) return 'DOUBLE';
+        return kinds.size === 1 ? Array.from(kinds)[0] : 'ANY';
+    }
+
+    static toNumber(value, type) {
+        return type && type.typeId === ARROW_TYPE.Decimal ? Number(ValueFormatter.formatDecimal(value, type.scale)) : Number(value);
+    }
+
+    // Linear interpolation between the closest ranks, as DuckDB's quantile_cont does
+    static quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const below = Math.floor(position);
+        const above = Math.ceil(position);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // Equal-width bins between min and max, Sturges' rule for the count
+    static binCount(count) {
+        return Math.max(1, Math.min(PROFILE_MAX_BINS, Math.ceil(Math.log2(Math.max(1, count))) + 1));
+    }
+
+    static bin(sorted) {
+        const low = sorted[0];
+        const high = sorted[sorted.length - 1];
+        const bins = low === high ? 1 : this.binCount(sorted.length);
+        const width = (high - low) / bins || 1;
+        const counts = new Array(bins).fill(0);
+        sorted.forEach(value => {
+            counts[Math.min(bins - 1, Math.floor((value - low) / width))]++;
+        });
+        return this.histogram(low, width, counts);
+    }
+
+    static histogram(low, width, counts) {
+        return counts.map((count, i) => ({
+            label: `${this.formatNumber(low + i * width)} to ${this.formatNumber(low + (i + 1) * width)}`,
+            count
+        }));
+    }
+
+    static formatNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        if (!Number.isFinite(number)) return String(value);
+        return Number.isInteger(number) ? number.toLocaleString() : Number(number.toPrecision(6)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+    }
+
+    static html(profiles) {
+        const percent = (part, whole) => (whole > 0 ? `${Number((part / whole * 100).toFixed(1))}%` : '-');
+        const stat = (label, value) => (value === null || value === undefined ? '' : `<tr><th>${label}</th><td>${HTMLText.escape(String(value))}</td></tr>`);
+
+        const cards = profiles.map(profile => {
+            const stats = [
+                stat('Nulls', `${profile.nulls.toLocaleString()} (${percent(profile.nulls, profile.count)})`),
+                stat('Distinct', profile.distinct === null ? null : profile.distinct.toLocaleString()),
+                stat('Min', profile.min),
+                stat('Max', profile.max),
+                stat('Mean', profile.mean),
+                profile.quantiles ? stat('Quartiles', profile.quantiles.join(' / ')) : ''
+            ].join('');
+
+            let chart = '';
+            if (profile.histogram.length > 0) {
+                const peak = Math.max(1, ...profile.histogram.map(bin => bin.count));
+                chart = `
+                    <div class="profile-histogram">
+                        ${profile.histogram.map(bin => `<span style="height: ${Math.max(2, Math.round(bin.count / peak * 100))}%" title="${HTMLText.escape(`${bin.label}: ${bin.count.toLocaleString()}`)}"></span>`).join('')}
+                    </div>
+                `;
+            } else if (profile.top.length > 0) {
+                const peak = profile.top[0].count;
+                chart = `
+                    <div class="profile-top">
+                        ${profile.top.map(entry => `
+                            <div class="profile-top-row" title="${HTMLText.escape(`${entry.value}: ${entry.count.toLocaleString()}`)}">
+                                <span class="profile-top-value">${HTMLText.escape(entry.value)}</span>
+                                <span class="profile-top-bar"><span style="width: ${Math.round(entry.count / peak * 100)}%"></span></span>
+                                <span class="profile-top-count">${entry.count.toLocaleString()}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="profile-card">
+                    <div class="profile-header">
+                        <span class="profile-name">${HTMLText.escape(profile.name)}</span>
+                        <span class="profile-type">${HTMLText.escape(profile.type)}</span>
+                    </div>
+                    <table class="profile-stats">${stats}</table>
+                    ${chart}
+                </div>
+            `;
+        });
+        return `<div class="profile-grid">${cards.join('')}</div>`;
+    }
+}
+
+const PROFILE_TOP_VALUES = 5;
+const PROFILE_MAX_BINS = 20;
+// DuckDB results are copied here while they are profiled, so the query runs once
+const PROFILE_TEMP_TABLE = '__wrksheet_profile';
+
+// Raised for a statement stopped by the Cancel button or the query timeout
+class QueryCancelledError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryCancelledError';
+    }
+}
+
+// How long a cancelled DuckDB query gets to stop before its worker is restarted
+const CANCEL_GRACE_MS = 2000;
+
+// Tiny promise wrapper over one IndexedDB object store, for state that should outlive the page
+class KeyValueStore {
+    static open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open('wrksheet', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('kv');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.opening;
+    }
+
+    static async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction('kv', mode).objectStore('kv'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    static set(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    static delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+}
+
+// Where persistent data lives: DuckDB's database file in OPFS, SimpleSQL's snapshot in IndexedDB
+const DUCKDB_OPFS_PATH = 'opfs://wrksheet.duckdb';
+const SIMPLE_SQL_SNAPSHOT_KEY = 'simplesql-snapshot';
+const PERSIST_SETTING_KEY = 'wrksheet.persistDatabase';
+
+// Adds highlighting, bracket matching, indentation, comment toggling and completion to the SQL textarea.
+// The text is drawn by a layer behind the (transparent-text) textarea, which keeps native editing and undo.
+class SQLEditor {
+    constructor(textarea, layer, { onChange = () => {} } = {}) {
+        this.textarea = textarea;
+        this.layer = layer;
+        this.onChange = onChange;
+        this.lastText = null;
+        this.mark = null;
+        this.diagnostic = null;
+        this.keywords = SQL_EDITOR_KEYWORDS;
+        this.functions = [];
+        this.objects = [];
+        this.completion = null;
+        this.renderPending = false;
+
+        this.popup = document.createElement('ul');
+        this.popup.className = 'completion-list';
+        this.popup.style.display = 'none';
+        textarea.parentNode.appendChild(this.popup);
+
+        this.gutterMarker = document.createElement('div');
+        this.gutterMarker.className = 'gutter-error';
+        this.gutterMarker.textContent = '●';
+        this.gutterMarker.style.display = 'none';
+        this.gutterMarker.addEventListener('click', () => {
+            if (!this.diagnostic) return;
+            textarea.focus();
+            textarea.setSelectionRange(this.diagnostic.start, this.diagnostic.end);
+        });
+        textarea.parentNode.appendChild(this.gutterMarker);
+
+        textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        textarea.addEventListener('input', (e) => {
+            this.diagnostic = null;
+            this.scheduleRender();
+            this.updateCompletion(e.inputType === 'insertText' && /^[\w.]$/.test(e.data || ''));
+        });
+        ['keyup', 'mouseup', 'focus'].forEach(type => textarea.addEventListener(type, () => this.scheduleRender()));
+        textarea.addEventListener('scroll', () => this.sync());
+        textarea.addEventListener('blur', () => setTimeout(() => this.closeCompletion(), 150));
+        window.addEventListener('resize', () => this.sync());
+        this.popup.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('li');
+            if (!item) return;
+            e.preventDefault();
+            this.acceptCompletion(Number(item.dataset.index));
+        });
+
+        this.render();
+    }
+
+    // Completion sources: catalog objects ({schema, name, columns: [{name}]}) and function names
+    setSchema(objects, functions) {
+        this.objects = objects || [];
+        if (functions) this.functions = functions;
+    }
+
+    markRange(start, end) {
+        this.mark = { start, end };
+        this.render();
+    }
+
+    clearMark() {
+        this.mark = null;
+        this.scheduleRender();
+    }
+
+    // Underlines [start, end) and puts a marker in the left margin of its line; cleared by the next edit
+    setDiagnostic(start, end, message) {
+        this.diagnostic = { start, end, message };
+        this.render();
+    }
+
+    clearDiagnostic() {
+        this.diagnostic = null;
+        this.scheduleRender();
+    }
+
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    // Splits the text into tokens covering every character; strings and comments are single tokens
+    static tokenize(text) {
+        const pattern = /(--[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|([eE]'(?:\\[\s\S]|''|[^'\\])*'?|'(?:''|[^'])*'?|\$([A-Za-z_]\w*)?\$[\s\S]*?(?:\$\3\$|$))|("(?:""|[^"])*"?)|(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][\w$]*)|(\$[A-Za-z_]\w*|(?<![\w:)\]]):[A-Za-z_]\w*)|(\s+)|([\s\S])/y;
+        const types = [null, 'comment', 'string', null, 'identifier', 'number', 'word', 'param', 'space', 'punct'];
+        const tokens = [];
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+            const group = types.findIndex((type, index) => type && match[index] !== undefined);
+            tokens.push({ type: types[group], start: match.index, end: pattern.lastIndex, text: match[0] });
+        }
+
+        // Words are keywords, function names (followed by "(", unless they name a table being defined), or plain identifiers
+        let previousWord = null;
+        tokens.forEach((token, index) => {
+            if (token.type !== 'word') return;
+            let next = index + 1;
+            while (next < tokens.length && tokens[next].type === 'space') next++;
+            const upper = token.text.toUpperCase();
+            const called = next < tokens.length && tokens[next].text === '(' && !SQL_EDITOR_DEFINING.has(previousWord);
+            if (called && !SQL_EDITOR_KEYWORD_SET.has(upper)) token.type = 'function';
+            else if (SQL_EDITOR_TYPES.has(upper)) token.type = 'type';
+            else if (SQL_EDITOR_KEYWORD_SET.has(upper)) token.type = 'keyword';
+            previousWord = upper;
+        });
+        return tokens;
+    }
+
+    // Index of the bracket token matching the one touching the caret, with both indexes
+    matchBracket(tokens, caret) {
+        const pairs = { '(': ')', '[': ']', '{': '}' };
+        const closers = { ')': '(', ']': '[', '}': '{' };
+        const index = tokens.findIndex(token => token.type === 'punct' && (pairs[token.text] || closers[token.text]) &&
+            (token.end === caret || token.start === caret));
+        if (index === -1) return null;
+
+        const open = pairs[tokens[index].text];
+        const step = open ? 1 : -1;
+        const same = tokens[index].text;
+        const other = open || closers[same];
+        let depth = 0;
+        for (let i = index; i >= 0 && i < tokens.length; i += step) {
+            if (tokens[i].type !== 'punct') continue;
+            if (tokens[i].text === same) depth++;
+            else if (tokens[i].text === other && --depth === 0) return [index, i];
+        }
+        return [index, -1];
+    }
+
+    render() {
+        const text = this.textarea.value;
+        const tokens = SQLEditor.tokenize(text);
+        const caret = this.textarea.selectionStart;
+        const brackets = this.textarea.selectionStart === this.textarea.selectionEnd ? this.matchBracket(tokens, caret) : null;
+
+        // Token pieces are also cut at the statement mark and at the caret, so both can be placed exactly
+        const cuts = [caret];
+        const diagnostic = this.diagnostic;
+        if (this.mark) cuts.push(this.mark.start, this.mark.end);
+        if (diagnostic) cuts.push(diagnostic.start, diagnostic.end);
+        let html = '';
+        tokens.forEach((token, index) => {
+            let className = token.type === 'space' || token.type === 'punct' || token.type === 'word' ? '' : `tok-${token.type}`;
+            if (brackets && brackets.includes(index)) {
+                className = brackets[1] === -1 ? 'tok-bracket-unmatched' : 'tok-bracket-match';
+            }
+            const bounds = [token.start, ...cuts.filter(cut => cut > token.start && cut < token.end).sort((a, b) => a - b), token.end];
+            for (let i = 0; i < bounds.length - 1; i++) {
+                if (bounds[i] === caret) html += '<span class="caret-anchor"></span>';
+                if (diagnostic && bounds[i] === diagnostic.start) html += '<span class="error-anchor"></span>';
+                let piece = HTMLText.escape(text.slice(bounds[i], bounds[i + 1]));
+                if (className) piece = `<span class="${className}">${piece}</span>`;
+                if (diagnostic && bounds[i] >= diagnostic.start && bounds[i] < diagnostic.end) piece = `<span class="tok-error">${piece}</span>`;
+                if (this.mark && bounds[i] >= this.mark.start && bounds[i] < this.mark.end) piece = `<mark>${piece}</mark>`;
+                html += piece;
+            }
+        });
+        if (caret >= text.length) html += '<span class="caret-anchor"></span>';
+        if (diagnostic && diagnostic.start >= text.length) html += '<span class="error-anchor"></span>';
+
+        this.layer.innerHTML = html + '\n';
+        this.sync();
+
+        // Rendering follows every edit, including text set directly on the textarea
+        if (text !== this.lastText) {
+            this.lastText = text;
+            this.onChange(text);
+        }
+    }
+
+    sync() {
+        const { textarea, layer } = this;
+        layer.style.top = `${textarea.clientTop}px`;
+        layer.style.left = `${textarea.clientLeft}px`;
+        layer.style.width = `${textarea.clientWidth}px`;
+        layer.style.height = `${textarea.clientHeight}px`;
+        layer.scrollTop = textarea.scrollTop;
+        layer.scrollLeft = textarea.scrollLeft;
+        if (this.completion) this.positionPopup();
+        this.positionGutterMarker();
+    }
+
+    positionGutterMarker() {
+        const anchor = this.diagnostic && this.layer.querySelector('.error-anchor');
+        const top = anchor ? anchor.offsetTop - this.layer.scrollTop : -1;
+        if (!anchor || top < 0 || top > this.layer.clientHeight) {
+            this.gutterMarker.style.display = 'none';
+            return;
+        }
+        this.gutterMarker.style.display = '';
+        this.gutterMarker.style.top = `${this.layer.offsetTop + top}px`;
+        this.gutterMarker.title = this.diagnostic.message;
+    }
+
+    handleKeydown(e) {
+        if (this.completion) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = this.completion.items.length;
+                this.completion.selected = (this.completion.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this.renderCompletion();
+                return;
+            }
+            if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === 'Tab') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.acceptCompletion(this.completion.selected);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeCompletion();
+                return;
+            }
+        }
+
+        if (e.ctrlKey && e.key === ' ') {
+            e.preventDefault();
+            this.updateCompletion(true, true);
+        } else if ((e.ctrlKey || e.metaKey) && e.key === '/') {
+            e.preventDefault();
+            this.toggleComment();
+        } else if (e.key === 'Tab' && !e.ctrlKey && !e.altKey) {
+            e.preventDefault();
+            this.indent(e.shiftKey);
+        } else if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+            e.preventDefault();
+            this.newline();
+        }
+    }
+
+    // Replaces [start, end) through execCommand where the browser supports it, so the edit can be undone
+    replaceRange(start, end, text, selectStart = null, selectEnd = null) {
+        const textarea = this.textarea;
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            textarea.setRangeText(text, start, end, 'end');
+            textarea.dispatchEvent(new Event('input'));
+        }
+        if (selectStart !== null) textarea.setSelectionRange(selectStart, selectEnd);
+        this.scheduleRender();
+    }
+
+    // The full lines touched by the selection, ignoring a selection that ends at the start of a line
+    selectedLines() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        const start = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const last = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n' ? selectionEnd - 1 : selectionEnd;
+        const lineEnd = value.indexOf('\n', last);
+        const end = lineEnd === -1 ? value.length : lineEnd;
+        return { start, end, lines: value.slice(start, end).split('\n') };
+    }
+
+    indent(outdent) {
+        const { selectionStart, selectionEnd, value } = this.textarea;
+        const unit = ' '.repeat(SQL_EDITOR_INDENT);
+
+        if (!outdent && selectionStart === selectionEnd) {
+            const column = selectionStart - (value.lastIndexOf('\n', selectionStart - 1) + 1);
+            this.replaceRange(selectionStart, selectionEnd, ' '.repeat(SQL_EDITOR_INDENT - column % SQL_EDITOR_INDENT));
+            return;
+        }
+
+        const { start, end, lines } = this.selectedLines();
+        const changed = lines.map(line => (outdent ? line.replace(new RegExp(`^ {1,${SQL_EDITOR_INDENT}}|^\\t`), '') : unit + line)).join('\n');
+        this.replaceRange(start, end, changed, start, start + changed.length);
+    }
+
+    // Keeps the current line's indentation, one level deeper after an opening bracket
+    newline() {
+        const { selectionStart, selectionEnd, value } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const indentation = value.slice(lineStart, selectionStart).match(/^[ \t]*/)[0];
+        const extra = /[([{]\s*$/.test(value.slice(lineStart, selectionStart)) ? ' '.repeat(SQL_EDITOR_INDENT) : '';
+        this.replaceRange(selectionStart, selectionEnd, `\n${indentation}${extra}`);
+    }
+
+    // Comments out the selected lines with "-- ", or uncomments them when all already are
+    toggleComment() {
+        const { start, end, lines } = this.selectedLines();
+        const code = lines.filter(line => line.trim() !== '');
+        const commented = code.length > 0 && code.every(line => /^\s*--/.test(line));
+        const indentation = Math.min(...code.map(line => line.match(/^\s*/)[0].length), Infinity);
+
+        const changed = lines.map(line => {
+            if (line.trim() === '') return line;
+            if (commented) return line.replace(/^(\s*)-- ?/, '$1');
+            const at = Number.isFinite(indentation) ? indentation : 0;
+            return `${line.slice(0, at)}-- ${line.slice(at)}`;
+        }).join('\n');
+        this.replaceRange(start, end, changed, start, start + changed.length);
+    }
+
+    // Opens, refreshes or closes the completion list for the word before the caret
+    updateCompletion(typed, forced = false) {
+        if (!typed && !this.completion) return;
+
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart !== selectionEnd) return this.closeCompletion();
+
+        const token = SQLEditor.tokenize(value).find(t => t.start < selectionStart && selectionStart <= t.end);
+        if (token && (token.type === 'comment' || token.type === 'string' || token.type === 'number')) return this.closeCompletion();
+
+        const before = value.slice(0, selectionStart);
+        const match = before.match(/(?:("?)([\w$]+)\1\.)?([\w$]*)$/);
+        const qualifier = match[2] || null;
+        const prefix = match[3];
+        if (!forced && !qualifier && prefix.length === 0) return this.closeCompletion();
+
+        const items = this.candidates(value, qualifier, prefix);
+        if (items.length === 0) return this.closeCompletion();
+
+        this.completion = { start: selectionStart - prefix.length, end: selectionStart, items, selected: 0 };
+        this.renderCompletion();
+    }
+
+    candidates(text, qualifier, prefix) {
+        const lower = prefix.toLowerCase();
+        const matches = name => name.toLowerCase().startsWith(lower);
+        const items = [];
+        const seen = new Set();
+        const add = (label, kind, detail = '') => {
+            const key = `${kind}:${label.toLowerCase()}`;
+            if (seen.has(key) || !matches(label)) return;
+            seen.add(key);
+            items.push({ label, kind, detail });
+        };
+
+        if (qualifier) {
+            // "alias." or "table." lists the table's columns; "schema." lists the schema's tables
+            const table = this.resolveTable(text, qualifier);
+            if (table) table.columns.forEach(column => add(column.name, 'column', column.type || ''));
+            this.objects.filter(object => object.schema.toLowerCase() === qualifier.toLowerCase())
+                .forEach(object => add(object.name, object.kind || 'table'));
+            return items.slice(0, MAX_COMPLETIONS);
+        }
+
+        // Columns of tables the script mentions come first, then tables, functions and keywords
+        const mentioned = this.objects.filter(object => new RegExp(`\\b${object.name.replace(/[^\w]/g, '\\$&')}\\b`, 'i').test(text));
+        mentioned.forEach(object => object.columns.forEach(column => add(column.name, 'column', object.name)));
+        this.objects.forEach(object => add(object.name, object.kind || 'table', object.schema));
+        this.functions.forEach(name => add(name, 'function'));
+        this.keywords.forEach(keyword => add(keyword, 'keyword'));
+        this.objects.forEach(object => object.columns.forEach(column => add(column.name, 'column', object.name)));
+        return items.slice(0, MAX_COMPLETIONS);
+    }
+
+    // Finds the catalog table behind a name used as "name." - either the table itself or an alias from FROM/JOIN
+    resolveTable(text, name) {
+        const byName = n => this.objects.find(object => object.name.toLowerCase() === n.toLowerCase());
+        const alias = new RegExp(`\\b(?:from|join)\\s+(?:"?[\\w$]+"?\\.)?"?([\\w$]+)"?\\s+(?:as\\s+)?"?${name.replace(/[^\w]/g, '\\$&')}"?(?![\\w$])`, 'i');
+        const match = text.match(alias);
+        return (match && byName(match[1])) || byName(name);
+    }
+
+    renderCompletion() {
+        const { items, selected } = this.completion;
+        this.popup.innerHTML = items.map((item, index) => `
+            <li data-index="${index}" class="${index === selected ? 'selected' : ''}">
+                <span class="completion-label">${HTMLText.escape(item.label)}</span>
+                <span class="completion-kind">${HTMLText.escape(item.detail ? `${item.kind} · ${item.detail}` : item.kind)}</span>
+            </li>
+        `).join('');
+        this.popup.style.display = '';
+        this.render();
+        const selectedItem = this.popup.querySelector('.selected');
+        if (selectedItem && selectedItem.scrollIntoView) selectedItem.scrollIntoView({ block: 'nearest' });
+    }
+
+    positionPopup() {
+        const anchor = this.layer.querySelector('.caret-anchor');
+        if (!anchor) return;
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 18;
+        this.popup.style.top = `${this.layer.offsetTop + anchor.offsetTop - this.layer.scrollTop + lineHeight}px`;
+        this.popup.style.left = `${Math.min(this.layer.offsetLeft + anchor.offsetLeft - this.layer.scrollLeft, this.textarea.clientWidth - 200)}px`;
+    }
+
+    acceptCompletion(index) {
+        const { start, end, items } = this.completion;
+        const item = items[index];
+        this.closeCompletion();
+
+        let text = item.label;
+        if (item.kind === 'keyword') text = text.toUpperCase();
+        else if (item.kind !== 'function' && !/^[A-Za-z_][\w$]*$/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+        this.replaceRange(start, end, text);
+    }
+
+    closeCompletion() {
+        this.completion = null;
+        this.popup.style.display = 'none';
+    }
+}
+
+const SQL_EDITOR_INDENT = 4;
+const MAX_COMPLETIONS = 50;
+const SQL_EDITOR_KEYWORDS = [
+    'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING', 'LIMIT', 'OFFSET', 'QUALIFY', 'WINDOW',
+    'WITH', 'RECURSIVE', 'AS', 'DISTINCT', 'ALL', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE',
+    'BETWEEN', 'EXISTS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'CAST', 'TRUE', 'FALSE',
+    'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ASOF', 'POSITIONAL', 'ON', 'USING',
+    'UNION', 'INTERSECT', 'EXCEPT', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'OVER', 'PARTITION', 'BY',
+    'ROWS', 'RANGE', 'PRECEDING', 'FOLLOWING', 'UNBOUNDED', 'CURRENT', 'ROW', 'FILTER',
+    'INSERT', 'INTO', 'VALUES', 'DEFAULT', 'UPDATE', 'SET', 'DELETE', 'RETURNING', 'CONFLICT', 'DO', 'NOTHING',
+    'CREATE', 'OR REPLACE', 'TABLE', 'VIEW', 'SCHEMA', 'INDEX', 'SEQUENCE', 'MACRO', 'TYPE', 'TEMP', 'TEMPORARY',
+    'IF', 'DROP', 'ALTER', 'ADD', 'COLUMN', 'RENAME', 'TO', 'PRIMARY', 'KEY', 'UNIQUE', 'CHECK', 'REFERENCES',
+    'FOREIGN', 'CONSTRAINT', 'BEGIN', 'TRANSACTION', 'COMMIT', 'ROLLBACK', 'COPY', 'ATTACH', 'DETACH', 'DATABASE',
+    'EXPLAIN', 'ANALYZE', 'DESCRIBE', 'SHOW', 'SUMMARIZE', 'PRAGMA', 'INSTALL', 'LOAD', 'EXPORT', 'IMPORT',
+    'PIVOT', 'UNPIVOT', 'SAMPLE', 'EXCLUDE', 'REPLACE', 'COLUMNS', 'LATERAL', 'INTERVAL'
+];
+const SQL_EDITOR_KEYWORD_SET = new Set(SQL_EDITOR_KEYWORDS.flatMap(keyword => keyword.split(' ')));
+const SQL_EDITOR_DEFINING = new Set(['TABLE', 'INTO', 'VIEW', 'EXISTS', 'REFERENCES', 'MACRO', 'INDEX']);
+const SQL_EDITOR_TYPES = new Set([
+    'BIGINT', 'BIT', 'BLOB', 'BOOLEAN', 'BOOL', 'DATE', 'DECIMAL', 'DOUBLE', 'FLOAT', 'HUGEINT', 'INTEGER', 'INT',
+    'JSON', 'LIST', 'MAP', 'NUMERIC', 'REAL', 'SMALLINT', 'STRUCT', 'TEXT', 'TIME', 'TIMESTAMP', 'TIMESTAMPTZ',
+    'TINYINT', 'UBIGINT', 'UHUGEINT', 'UINTEGER', 'USMALLINT', 'UTINYINT', 'UUID', 'VARCHAR'
+]);
+
+// Worksheet state packed into the URL hash: "#share=<payload>[&embed=1]".
+// The payload is JSON, deflated when the browser has CompressionStream, then base64url-encoded.
+class ShareLink {
+    static async encode(payload) {
+        let bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let prefix = 'j';
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            prefix = 'z';
+        }
+        return prefix + this.toBase64Url(bytes);
+    }
+
+    static async decode(text) {
+        let bytes = this.fromBase64Url(text.slice(1));
+        if (text[0] === 'z') {
+            if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read compressed links');
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (text[0] !== 'j') {
+            throw new Error('Unknown link format');
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    static fromLocation(location) {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const encoded = params.get('share');
+        return encoded ? { encoded, embed: params.get('embed') === '1' } : null;
+    }
+
+    static url(location, encoded, embed) {
+        return `${location.origin}${location.pathname}${location.search}#share=${encoded}${embed ? '&embed=1' : ''}`;
+    }
+
+    // The seed in a link is SQL from whoever made it, so before it runs every statement has to be one
+    // seedScript() writes: DROP TABLE IF EXISTS, CREATE TABLE with plain column types, or INSERT of
+    // literal rows, each on one of the tables the link lists. Returns the statements, or throws.
+    static checkSeed(script, tables) {
+        const allowed = new Set(tables.map(name => String(name).toLowerCase()));
+        return SQLScriptSplitter.split(String(script)).map(({ text }) => {
+            const tokens = SQLEditor.tokenize(text).filter(token => token.type !== 'space' && token.type !== 'comment');
+            const words = tokens.map(token => token.text.toUpperCase());
+            const startsWith = (...expected) => expected.every((word, index) => words[index] === word);
+            const targets = (index) => {
+                const token = tokens[index];
+                if (!token || (token.type !== 'identifier' && token.type !== 'word')) return false;
+                const name = token.type === 'identifier' ? token.text.slice(1, -1).replace(/""/g, '"') : token.text;
+                return allowed.has(name.toLowerCase());
+            };
+
+            let valid = false;
+            if (startsWith('DROP', 'TABLE', 'IF', 'EXISTS')) {
+                valid = targets(4) && tokens.length === 5;
+            } else if (startsWith('CREATE', 'TABLE')) {
+                valid = targets(2) && words[3] === '(' && words[words.length - 1] === ')' &&
+                    !words.some(word => SHARE_SEED_CREATE_BLOCKED.has(word));
+            } else if (startsWith('INSERT', 'INTO')) {
+                valid = targets(2) && words[3] === 'VALUES' && tokens.slice(4).every(token =>
+                    token.type === 'string' || token.type === 'number' || SHARE_SEED_VALUE_TOKENS.has(token.text.toUpperCase()));
+            }
+            if (!valid) throw new Error(`The data in this link contains a statement it shouldn't: ${text.slice(0, 80)}`);
+            return text;
+        });
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Seed data travels in the link, so only small tables are included
+const SHARE_SEED_MAX_ROWS = 200;
+const SHARE_URL_WARN_LENGTH = 8000;
+// What ShareLink.checkSeed lets through besides table names, types, strings and numbers
+const SHARE_SEED_CREATE_BLOCKED = new Set(['AS', 'DEFAULT', 'CHECK', 'GENERATED', 'REFERENCES', 'SELECT']);
+const SHARE_SEED_VALUE_TOKENS = new Set(['(', ')', ',', '-', '+', 'NULL', 'TRUE', 'FALSE', 'NAN', 'INFINITY']);
+
+// Executed scripts, newest first, kept in IndexedDB so they survive reloads
+class QueryHistory {
+    constructor() {
+        this.entries = [];
+    }
+
+    // Scripts run before the stored history arrived are newer, so they go in front of it
+    async load() {
+        try {
+            const stored = (await KeyValueStore.get(QUERY_HISTORY_KEY)) || [];
+            const added = this.entries;
+            const ids = new Set(added.map(entry => entry.id));
+            this.entries = added.concat(stored.filter(entry => !ids.has(entry.id))).slice(0, MAX_HISTORY_ENTRIES);
+            if (added.length) await this.save();
+        } catch (error) {
+            console.error('Failed to load query history:', error);
+        }
+        return this.entries;
+    }
+
+    // Very long scripts are cut to MAX_HISTORY_SQL_LENGTH and flagged, so they can be found but not re-run
+    async add(entry) {
+        const clipped = entry.sql.length > MAX_HISTORY_SQL_LENGTH;
+        this.entries.unshift({
+            id: `${entry.timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            ...entry,
+            sql: clipped ? entry.sql.slice(0, MAX_HISTORY_SQL_LENGTH) : entry.sql,
+            clipped
+        });
+        this.entries.length = Math.min(this.entries.length, MAX_HISTORY_ENTRIES);
+        await this.save();
+    }
+
+    async clear() {
+        this.entries = [];
+        await this.save();
+    }
+
+    async save() {
+        try {
+            await KeyValueStore.set(QUERY_HISTORY_KEY, this.entries);
+        } catch (error) {
+            console.error('Failed to save query history:', error);
+        }
+    }
+
+    find(id) {
+        return this.entries.find(entry => entry.id === id);
+    }
+
+    // Every whitespace-separated term must appear in the SQL or the error message
+    search(text) {
+        const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return this.entries;
+        return this.entries.filter(entry => {
+            const haystack = `${entry.sql}\n${entry.error || ''}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+}
+
+const QUERY_HISTORY_KEY = 'query-history';
+const MAX_HISTORY_ENTRIES = 1000;
+const MAX_HISTORY_SQL_LENGTH = 20000;
+const HISTORY_PREVIEW_LENGTH = 300;
+
+// Named SQL worksheets shown as tabs over the one editor; every change is saved to localStorage
+class WorksheetTabs {
+    constructor(container, editor, { onSwitch }) {
+        this.container = container;
+        this.editor = editor;
+        this.onSwitch = onSwitch;
+        this.saveTimer = null;
+        this.load();
+        this.showSheet(this.active());
+        this.render();
+
+        editor.addEventListener('input', () => this.scheduleSave());
+        window.addEventListener('beforeunload', () => this.save());
+    }
+
+    load() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(WORKSHEETS_KEY));
+        } catch (error) {
+            console.error('Failed to read saved worksheets:', error);
+        }
+
+        this.sheets = state && Array.isArray(state.sheets) ? state.sheets : [];
+        this.activeId = state ? state.activeId : null;
+        if (!this.openSheets().some(sheet => sheet.id === this.activeId)) {
+            this.activeId = (this.openSheets()[0] || this.addSheet('')).id;
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.captureEditor();
+        try {
+            localStorage.setItem(WORKSHEETS_KEY, JSON.stringify({ sheets: this.sheets, activeId: this.activeId }));
+        } catch (error) {
+            console.error('Failed to save worksheets:', error);
+        }
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), WORKSHEET_SAVE_DELAY_MS);
+    }
+
+    openSheets() {
+        return this.sheets.filter(sheet => !sheet.closed);
+    }
+
+    closedSheets() {
+        return this.sheets.filter(sheet => sheet.closed);
+    }
+
+    active() {
+        return this.sheets.find(sheet => sheet.id === this.activeId);
+    }
+
+    addSheet(sql, name = null) {
+        const sheet = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || this.uniqueName('Worksheet'),
+            sql,
+            lastRun: null,
+            closed: false,
+            cursor: 0
+        };
+        this.sheets.push(sheet);
+        return sheet;
+    }
+
+    uniqueName(base) {
+        const names = new Set(this.openSheets().map(sheet => sheet.name));
+        let n = 1;
+        while (names.has(`${base} ${n}`)) n++;
+        return `${base} ${n}`;
+    }
+
+    // The editor holds the active sheet's text; copy it back before anything reads or replaces it
+    captureEditor() {
+        const sheet = this.active();
+        if (!sheet) return;
+        sheet.sql = this.editor.value;
+        sheet.cursor = this.editor.selectionStart;
+    }
+
+    showSheet(sheet) {
+        this.editor.value = sheet.sql;
+        this.editor.setSelectionRange(sheet.cursor || 0, sheet.cursor || 0);
+        this.editor.scrollTop = 0;
+    }
+
+    activate(id) {
+        if (id === this.activeId) return;
+        this.captureEditor();
+        this.activeId = id;
+        this.showSheet(this.active());
+        this.save();
+        this.render();
+        this.onSwitch(this.active());
+    }
+
+    create(sql = '', name = null) {
+        this.captureEditor();
+        const sheet = this.addSheet(sql, name);
+        this.activate(sheet.id);
+        return sheet;
+    }
+
+    duplicate() {
+        this.captureEditor();
+        const source = this.active();
+        this.create(source.sql, `${source.name} copy`);
+    }
+
+    // Closed sheets are kept (up to a limit) so they can be reopened later
+    close(id) {
+        this.captureEditor();
+        const sheet = this.sheets.find(s => s.id === id);
+        sheet.closed = true;
+        sheet.closedAt = Date.now();
+
+        const closed = this.closedSheets().sort((a, b) => b.closedAt - a.closedAt);
+        const dropped = new Set(closed.slice(MAX_CLOSED_WORKSHEETS).map(s => s.id));
+        this.sheets = this.sheets.filter(s => !dropped.has(s.id));
+
+        if (id === this.activeId) {
+            const next = this.openSheets()[0] || this.addSheet('');
+            this.activeId = null;
+            this.activate(next.id);
+        } else {
+            this.save();
+            this.render();
+        }
+    }
+
+    reopen(id) {
+        const sheet = this.sheets.find(s => s.id === id);
+        sheet.closed = false;
+        delete sheet.closedAt;
+        this.activate(id);
+        this.render();
+    }
+
+    rename(id, name) {
+        const sheet = this.sheets.find(s => s.id === id);
+        if (name.trim()) sheet.name = name.trim();
+        this.save();
+        this.render();
+    }
+
+    markRun() {
+        this.active().lastRun = Date.now();
+        this.save();
+        this.render();
+    }
+
+    fileName(sheet) {
+        return `${sheet.name.replace(/[^\w.-]+/g, '_') || 'worksheet'}.sql`;
+    }
+
+    async importFiles(files) {
+        for (const file of files) {
+            this.create(await file.text(), file.name.replace(/\.sql$/i, ''));
+        }
+    }
+
+    render() {
+        const tabs = this.openSheets().map(sheet => {
+            const lastRun = sheet.lastRun ? `Last run ${new Date(sheet.lastRun).toLocaleString()}` : 'Not run yet';
+            return `
+                <div class="worksheet-tab${sheet.id === this.activeId ? ' active' : ''}" data-id="${sheet.id}" title="${HTMLText.escape(`${sheet.name} - ${lastRun}. Double-click to rename`)}">
+                    <span class="worksheet-name">${HTMLText.escape(sheet.name)}</span>
+                    <button class="worksheet-close" data-close="${sheet.id}" title="Close worksheet">×</button>
+                </div>
+            `;
+        }).join('');
+        this.container.innerHTML = tabs + '<button class="worksheet-new" title="New worksheet">+</button>';
+
+        this.container.querySelectorAll('.worksheet-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                if (e.target.dataset.close) {
+                    this.close(e.target.dataset.close);
+                } else if (!tab.querySelector('input')) {
+                    this.activate(tab.dataset.id);
+                }
+            });
+            tab.addEventListener('dblclick', (e) => {
+                if (!e.target.dataset.close) this.startRename(tab);
+            });
+        });
+        this.container.querySelector('.worksheet-new').addEventListener('click', () => this.create());
+
+        const reopen = document.getElementById('reopenWorksheetSelect');
+        reopen.innerHTML = '<option value="">Reopen...</option>' + this.closedSheets()
+            .sort((a, b) => b.closedAt - a.closedAt)
+            .map(sheet => `<option value="${sheet.id}">${HTMLText.escape(sheet.name)}</option>`)
+            .join('');
+        reopen.disabled = this.closedSheets().length === 0;
+    }
+
+    startRename(tab) {
+        const sheet = this.sheets.find(s => s.id === tab.dataset.id);
+        const label = tab.querySelector('.worksheet-name');
+        const input = document.createElement('input');
+        input.className = 'worksheet-rename';
+        input.value = sheet.name;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit) {
+                this.rename(sheet.id, input.value);
+            } else {
+                this.render();
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
+
+const WORKSHEETS_KEY = 'wrksheet.worksheets';
+const WORKSHEET_SAVE_DELAY_MS = 500;
+const MAX_CLOSED_WORKSHEETS = 20;
+
+class DuckDBWorksheet {
+    // embedded is the read-only view of a shared link: it runs the query and leaves browser storage alone
+    constructor({ embedded = false } = {}) {
+        this.embedded = embedded;
+        this.db = null;
+        this.connection = null;
+        this.isInitialized = false;
+        this.isFallback = false;
+        this.fallbackDb = null;
+        this.rowSource = null;
+        // Catalog lookups use their own connection, so they never end the result being streamed
+        this.catalogConnection = null;
+        this.checkpointPending = false;
+        this.cancelRunning = null;
+        this.persistent = false;
+        this.storageError = null;
+        // Which engine and DuckDB bundle started, and why earlier choices didn't (see showEngineInfo)
+        this.engine = null;
+        this.bundle = null;
+        this.sheets = new WorksheetTabs(document.getElementById('worksheetTabs'), document.getElementById('queryEditor'), {
+            onSwitch: () => this.clearStatementHighlight()
+        });
+        this.parameterValues = this.loadParameterValues();
+        this.editor = new SQLEditor(document.getElementById('queryEditor'), document.getElementById('editorHighlight'), {
+            onChange: (text) => this.renderParameterForm(text)
+        });
+        this.history = new QueryHistory();
+        this.history.load().then(() => this.renderHistory());
+        this.ready = this.init();
+        this.bindEvents();
+    }
+
+    async init() {
+        console.log('DuckDBWorksheet.init() called');
+        try {
+            this.setStatus('Initializing DuckDB WASM...');
+            
+            // Try to initialize DuckDB WASM first
+            const duckdb = window.duckdb || window.DuckDB;
+            console.log('DuckDB object:', duckdb);
+            if (!duckdb) {
+                const reason = window.duckdbLoadError ? `: ${window.duckdbLoadError.message}` : '';
+                throw new Error(`DuckDB WASM library not loaded${reason}`);
+            }
+            
+            await this.loadDuckDB(duckdb);
+            this.showEngineInfo();
+            
+            this.isInitialized = true;
+            this.isFallback = false;
+            this.setStatus(`Ready - DuckDB WASM initialized${this.describeStorage()}`);
+            document.getElementById('executeBtn').disabled = false;
+            document.getElementById('runStatementBtn').disabled = false;
+            this.updateExplainButtons();
+            this.refreshCatalog();
+            
+        } catch (error) {
+            console.error('Failed to initialize DuckDB WASM, falling back to SimpleSQL:', error);
+            
+            // Fallback to SimpleSQL
+            try {
+                this.setStatus('Falling back to SimpleSQL engine...');
+                this.engine = { name: 'SimpleSQL', fallback: error.message };
+                this.showEngineInfo();
+                this.fallbackDb = await SimpleSQLClient.create(APP_SCRIPT_URL);
+                await this.restoreSimpleSQLSnapshot();
+                this.isInitialized = true;
+                this.isFallback = true;
+                this.setStatus(`Ready - Using SimpleSQL fallback${this.describeStorage()}`);
+                document.getElementById('executeBtn').disabled = false;
+                document.getElementById('runStatementBtn').disabled = false;
+                this.updateExplainButtons();
+                this.refreshCatalog();
+            } catch (fallbackError) {
+                console.error('Failed to initialize fallback engine:', fallbackError);
+                this.showError('Failed to initialize any SQL engine: ' + fallbackError.message);
+                this.setStatus('Initialization failed');
+            }
+        }
+    }
+
+    // Tries the bundles index.html loaded duckdb-browser.mjs from (its duckdb-bundle-base meta tag), then jsDelivr;
+    // the first one that starts is kept
+    async loadDuckDB(duckdb) {
+        const base = window.duckdbBundleBase;
+        const sources = [{
+            source: new URL(base).origin === window.location.origin ? 'local' : new URL(base).host,
+            bundles: DuckDBWorksheet.bundlesAt(base)
+        }];
+        const cdn = duckdb.getJsDelivrBundles();
+        if (cdn.eh.mainModule !== sources[0].bundles.eh.mainModule) sources.push({ source: 'jsDelivr', bundles: cdn });
+
+        const failures = [];
+        for (const { source, bundles } of sources) {
+            try {
+                const bundle = await duckdb.selectBundle(bundles);
+                console.log(`Selected ${source} bundle:`, bundle);
+                await this.startDuckDB(duckdb, bundle);
+                this.engine = {
+                    name: 'DuckDB',
+                    version: await this.db.getVersion(),
+                    bundle: Object.keys(bundles).find(key => bundles[key].mainModule === bundle.mainModule) || 'custom',
+                    source,
+                    fallback: failures.join('; ')
+                };
+                return;
+            } catch (error) {
+                console.error(`Failed to start DuckDB from the ${source} bundle:`, error);
+                failures.push(`${source} bundle: ${error.message}`);
+                if (this.db) {
+                    await this.db.terminate().catch(() => {});
+                    this.db = null;
+                }
+            }
+        }
+        throw new Error(failures.join('; '));
+    }
+
+    // The MVP and exception-handling (EH) builds from a duckdb-wasm dist directory
+    static bundlesAt(base) {
+        return {
+            mvp: { mainModule: `${base}duckdb-mvp.wasm`, mainWorker: `${base}duckdb-browser-mvp.worker.js` },
+            eh: { mainModule: `${base}duckdb-eh.wasm`, mainWorker: `${base}duckdb-browser-eh.worker.js` }
+        };
+    }
+
+    async startDuckDB(duckdb, bundle) {
+        // A missing file would otherwise leave instantiate() waiting on a worker that never answers
+        await Promise.all([bundle.mainWorker, bundle.mainModule].map(url => this.checkBundleFile(url)));
+
+        // Workers must be same-origin, so a CDN worker is started through a blob that imports it
+        const sameOrigin = new URL(bundle.mainWorker, window.location.href).origin === window.location.origin;
+        const workerUrl = sameOrigin
+            ? bundle.mainWorker
+            : URL.createObjectURL(new Blob([`importScripts(${JSON.stringify(bundle.mainWorker)});`], { type: 'application/javascript' }));
+        const worker = new Worker(workerUrl);
+        const workerFailed = new Promise((_, reject) => {
+            worker.addEventListener('error', (event) => {
+                reject(new Error(`worker script failed${event.message ? `: ${event.message}` : ''}`));
+            }, { once: true });
+        });
+        workerFailed.catch(() => {});
+
+        const logger = new duckdb.ConsoleLogger();
+        this.db = new duckdb.AsyncDuckDB(logger, worker);
+        console.log('Instantiating with:', { mainModule: bundle.mainModule, pthreadWorker: bundle.pthreadWorker });
+        await Promise.race([this.db.instantiate(bundle.mainModule, bundle.pthreadWorker), workerFailed]);
+        this.bundle = bundle;
+        await this.openDuckDBStorage(duckdb);
+        this.connection = await this.db.connect();
+        this.catalogConnection = await this.db.connect();
+    }
+
+    // HEAD is enough to tell a missing file from a present one; the service worker answers it when offline
+    async checkBundleFile(url) {
+        const file = url.split('/').pop();
+        let response;
+        try {
+            response = await fetch(url, { method: 'HEAD' });
+        } catch (error) {
+            throw new Error(`${file} could not be fetched (${error.message})`);
+        }
+        if (!response.ok) throw new Error(`${file} returned HTTP ${response.status}`);
+    }
+
+    // Stays in the status bar, unlike setStatus messages; the title carries the full fallback reasons
+    showEngineInfo() {
+        const info = document.getElementById('engineInfo');
+        const { name, version, bundle, source, fallback } = this.engine;
+        if (name === 'DuckDB') {
+            info.textContent = `DuckDB ${version} - ${bundle.toUpperCase()} bundle (${source})${fallback ? ' - fallback' : ''}`;
+            info.title = fallback ? `Loaded after these bundles failed: ${fallback}` : 'DuckDB WASM bundle in use';
+        } else {
+            info.textContent = `SimpleSQL fallback - ${fallback}`;
+            info.title = `DuckDB could not start: ${fallback}`;
+        }
+        info.classList.toggle('engine-fallback', Boolean(fallback));
+    }
+
+    // Opens the OPFS-backed database when persistence is on; anything that fails leaves the default in-memory one
+    async openDuckDBStorage(duckdb) {
+        this.persistent = false;
+        this.storageError = null;
+        if (!this.persistenceEnabled()) return;
+
+        try {
+            if (!navigator.storage || !navigator.storage.getDirectory) {
+                throw new Error('this browser has no origin private file system');
+            }
+            await this.db.open({ path: DUCKDB_OPFS_PATH, accessMode: duckdb.DuckDBAccessMode.READ_WRITE });
+            this.persistent = true;
+        } catch (error) {
+            console.error('Failed to open persistent DuckDB database:', error);
+            this.storageError = error.message;
+            await this.db.open({});
+        }
+    }
+
+    async restoreSimpleSQLSnapshot() {
+        this.persistent = false;
+        this.storageError = null;
+        if (!this.persistenceEnabled()) return;
+
+        try {
+            const state = await KeyValueStore.get(SIMPLE_SQL_SNAPSHOT_KEY);
+            if (state) await this.fallbackDb.importState(state);
+            this.persistent = true;
+        } catch (error) {
+            console.error('Failed to restore SimpleSQL snapshot:', error);
+            this.storageError = error.message;
+        }
+    }
+
+    persistenceEnabled() {
+        return !this.embedded && localStorage.getItem(PERSIST_SETTING_KEY) === 'true';
+    }
+
+    describeStorage() {
+        if (this.persistent) return ' (data kept in browser storage)';
+        if (this.storageError) return ` (persistent storage unavailable: ${this.storageError})`;
+        return '';
+    }
+
+    // DuckDB checkpoints its OPFS file; SimpleSQL saves its committed tables to IndexedDB
+    async persistChanges() {
+        if (!this.persistent) return;
+
+        try {
+            if (this.isFallback) {
+                await KeyValueStore.set(SIMPLE_SQL_SNAPSHOT_KEY, await this.fallbackDb.exportState());
+            } else if (this.rowSource && this.rowSource.hasMore) {
+                // CHECKPOINT would close the result still being streamed; it runs once that stream is done
+                this.checkpointPending = true;
+            } else {
+                this.checkpointPending = false;
+                await this.query('CHECKPOINT');
+            }
+        } catch (error) {
+            console.error('Failed to persist database:', error);
+        }
+    }
+
+    async setPersistence(enabled) {
+        localStorage.setItem(PERSIST_SETTING_KEY, String(enabled));
+
+        // DuckDB can only switch storage when it opens the database
+        if (!this.isFallback) {
+            this.setStatus(`Persistence ${enabled ? 'enabled' : 'disabled'} - reload the page to switch databases`);
+            return;
+        }
+
+        this.persistent = enabled;
+        this.storageError = null;
+        if (enabled) {
+            await this.persistChanges();
+        } else {
+            await KeyValueStore.delete(SIMPLE_SQL_SNAPSHOT_KEY);
+        }
+        this.setStatus(`Ready - Using SimpleSQL fallback${this.describeStorage()}`);
+    }
+
+    // A .duckdb file for DuckDB, a SQL script for SimpleSQL
+    async exportDatabase() {
+        if (!this.isInitialized) return;
+
+        try {
+            this.setStatus('Exporting database...');
+            if (this.isFallback) {
+                this.downloadBlob(await this.fallbackDb.dump(), 'worksheet.sql', 'application/sql');
+            } else {
+                const path = `export_${Date.now()}.duckdb`;
+                const current = (await this.query('SELECT current_database() AS name')).toArray()[0].name;
+                await this.query(`ATTACH ${this.quoteLiteral(path)} AS wrksheet_export`);
+                try {
+                    await this.query(`COPY FROM DATABASE ${this.quoteIdentifier(current)} TO wrksheet_export`);
+                } finally {
+                    await this.query('DETACH wrksheet_export');
+                }
+                const buffer = await this.db.copyFileToBuffer(path);
+                await this.db.dropFile(path);
+                this.downloadBlob(buffer, 'worksheet.duckdb', 'application/octet-stream');
+            }
+            this.setStatus('Ready');
+        } catch (error) {
+            console.error('Database export failed:', error);
+            this.showError('Export Error: ' + error.message);
+            this.setStatus('Error');
+        }
+    }
+
+    // .duckdb files are copied into the current database; .sql dumps run as a script on either engine
+    async importDatabase(file) {
+        if (!this.isInitialized) return;
+
+        if (!/\.duckdb$/i.test(file.name)) {
+            await this.executeQuery(await file.text(), null, { history: false });
+            return;
+        }
+
+        if (this.isFallback) {
+            this.showError('Import Error: .duckdb files need the DuckDB engine; the SimpleSQL fallback can import a .sql dump');
+            return;
+        }
+
+        try {
+            this.setStatus(`Importing ${file.name}...`);
+            const path = `import_${Date.now()}.duckdb`;
+            const current = (await this.query('SELECT current_database() AS name')).toArray()[0].name;
+            await this.db.registerFileBuffer(path, new Uint8Array(await file.arrayBuffer()));
+            await this.query(`ATTACH ${this.quoteLiteral(path)} AS wrksheet_import (READ_ONLY)`);
+            try {
+                await this.query(`COPY FROM DATABASE wrksheet_import TO ${this.quoteIdentifier(current)}`);
+            } finally {
+                await this.query('DETACH wrksheet_import');
+                await this.db.dropFile(path);
+            }
+            await this.persistChanges();
+            this.showSuccess(`Imported ${file.name} into the current database`);
+            this.setStatus('Ready');
+        } catch (error) {
+            console.error('Database import failed:', error);
+            this.showError(`Import Error (${file.name}): ${error.message}`);
+            this.setStatus('Error');
+        } finally {
+            this.refreshCatalog();
+        }
+    }
+
+    bindEvents() {
+        console.log('Binding events...');
+        const executeBtn = document.getElementById('executeBtn');
+        const clearBtn = document.getElementById('clearBtn');
+        const queryEditor = document.getElementById('queryEditor');
+
+        console.log('Execute button:', executeBtn);
+        console.log('Clear button:', clearBtn);
+        
+        executeBtn.addEventListener('click', () => {
+            console.log('Execute button clicked');
+            this.executeSelectionOrScript();
+        });
+        document.getElementById('runStatementBtn').addEventListener('click', () => this.executeCurrentStatement());
+        document.getElementById('explainBtn').addEventListener('click', () => this.explainCurrentStatement(false));
+        document.getElementById('explainAnalyzeBtn').addEventListener('click', () => this.explainCurrentStatement(true));
+        clearBtn.addEventListener('click', () => this.clearQuery());
+        document.getElementById('cancelBtn').addEventListener('click', () => this.cancelQuery());
+        
+        // Ctrl+Enter runs the selection or the statement under the cursor, Ctrl+Shift+Enter runs everything
+        queryEditor.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.key === 'Enter') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.executeQuery();
+                } else {
+                    this.executeCurrentStatement();
+                }
+            } else if (e.ctrlKey && e.key.toLowerCase() === 'e') {
+                // Ctrl+E shows the plan, Ctrl+Shift+E runs EXPLAIN ANALYZE
+                e.preventDefault();
+                if (!this.isFallback) this.explainCurrentStatement(e.shiftKey);
+            }
+        });
+
+        // Highlight offsets go stale as soon as the text changes
+        queryEditor.addEventListener('input', () => this.clearStatementHighlight());
+
+        this.bindImportEvents();
+        this.bindCatalogEvents();
+        this.bindWorksheetEvents();
+        this.bindHistoryEvents();
+        this.bindParameterEvents();
+
+        executeBtn.disabled = !this.isInitialized;
+        document.getElementById('runStatementBtn').disabled = !this.isInitialized;
+        this.updateExplainButtons();
+        console.log('Execute button disabled:', executeBtn.disabled);
+        console.log('Is initialized:', this.isInitialized);
+    }
+
+    bindImportEvents() {
+        const importBtn = document.getElementById('importBtn');
+        const fileInput = document.getElementById('fileInput');
+        const dropOverlay = document.getElementById('dropOverlay');
+        let dragDepth = 0;
+
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            this.importFiles(Array.from(fileInput.files));
+            fileInput.value = '';
+        });
+
+        // Drag-and-drop anywhere on the page; the counter keeps the overlay up while moving over children
+        document.addEventListener('dragenter', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            dropOverlay.style.display = 'flex';
+        });
+        document.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) e.preventDefault();
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!this.isFileDrag(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) dropOverlay.style.display = 'none';
+        });
+        document.addEventListener('drop', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            dropOverlay.style.display = 'none';
+            this.importFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    bindWorksheetEvents() {
+        const sqlFileInput = document.getElementById('sqlFileInput');
+        const reopenSelect = document.getElementById('reopenWorksheetSelect');
+
+        document.getElementById('duplicateWorksheetBtn').addEventListener('click', () => this.sheets.duplicate());
+        document.getElementById('shareBtn').addEventListener('click', () => this.showShareDialog());
+        document.getElementById('exportSqlBtn').addEventListener('click', () => {
+            this.sheets.captureEditor();
+            const sheet = this.sheets.active();
+            this.downloadBlob(sheet.sql, this.sheets.fileName(sheet), 'application/sql');
+        });
+        document.getElementById('importSqlBtn').addEventListener('click', () => sqlFileInput.click());
+        sqlFileInput.addEventListener('change', () => {
+            this.sheets.importFiles(Array.from(sqlFileInput.files));
+            sqlFileInput.value = '';
+        });
+        reopenSelect.addEventListener('change', () => {
+            if (reopenSelect.value) this.sheets.reopen(reopenSelect.value);
+        });
+    }
+
+    bindHistoryEvents() {
+        const historyPanel = document.getElementById('historyPanel');
+        const toggleBtn = document.getElementById('historyToggleBtn');
+
+        toggleBtn.addEventListener('click', () => {
+            const collapsed = historyPanel.classList.toggle('collapsed');
+            toggleBtn.textContent = collapsed ? '«' : '»';
+            toggleBtn.title = collapsed ? 'Expand history' : 'Collapse history';
+        });
+        document.getElementById('historySearch').addEventListener('input', () => this.renderHistory());
+        document.getElementById('historyClearBtn').addEventListener('click', async () => {
+            if (!confirm('Delete the whole query history?')) return;
+            await this.history.clear();
+            this.renderHistory();
+        });
+
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const entry = this.history.find(button.closest('.history-entry').dataset.id);
+            if (!entry) return;
+
+            if (button.dataset.action === 'load') {
+                this.replaceEditorText(entry.sql);
+            } else {
+                this.executeQuery(entry.sql);
+            }
+        });
+    }
+
+    // Records one executed script; a script-level error (such as a failed BEGIN) has no outcomes
+    recordHistory(sql, duration, outcomes, error = null) {
+        if (this.embedded) return;
+        const failed = outcomes.find(outcome => outcome.status === 'error');
+        const rowCount = outcomes.reduce((sum, outcome) => {
+            if (outcome.status === 'rows') return sum + outcome.result.rows.length;
+            return sum + (typeof outcome.rowsAffected === 'number' ? outcome.rowsAffected : 0);
+        }, 0);
+
+        this.history.add({
+            sql,
+            timestamp: Date.now(),
+            engine: this.isFallback ? 'SimpleSQL' : 'DuckDB',
+            duration,
+            rowCount,
+            truncated: outcomes.some(outcome => outcome.status === 'rows' && outcome.result.source.hasMore),
+            statements: outcomes.length,
+            status: error || failed ? 'error' : 'success',
+            error: error ? error.message : failed ? failed.error.message : null
+        }).then(() => this.renderHistory());
+    }
+
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        const entries = this.history.search(document.getElementById('historySearch').value);
+
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="catalog-empty">${this.history.entries.length ? 'No matching queries' : 'No queries run yet'}</div>`;
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const rows = `${entry.rowCount.toLocaleString()}${entry.truncated ? '+' : ''} ${entry.rowCount === 1 ? 'row' : 'rows'}`;
+            const preview = entry.sql.length > HISTORY_PREVIEW_LENGTH ? entry.sql.slice(0, HISTORY_PREVIEW_LENGTH) + '…' : entry.sql;
+            const disabled = entry.clipped ? `disabled title="Only the first ${MAX_HISTORY_SQL_LENGTH.toLocaleString()} characters of this script were kept"` : '';
+            return `
+                <div class="history-entry ${entry.status}" data-id="${entry.id}">
+                    <div class="history-meta">
+                        <span title="${HTMLText.escape(entry.error || 'Succeeded')}">${entry.status === 'error' ? '✗' : '✓'}</span>
+                        <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                        <span class="history-engine">${entry.engine}</span>
+                    </div>
+                    <div class="history-meta">${entry.duration}ms · ${rows}${entry.statements > 1 ? ` · ${entry.statements} statements` : ''}</div>
+                    <pre class="history-sql" title="${HTMLText.escape(preview)}">${HTMLText.escape(preview)}</pre>
+                    ${entry.error ? `<div class="history-error">${HTMLText.escape(entry.error)}</div>` : ''}
+                    <div class="history-actions">
+                        <button data-action="load" ${disabled || 'title="Replace the editor text with this query"'}>Load</button>
+                        <button data-action="run" ${disabled || 'title="Run this query again"'}>Re-run</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Replaces the whole editor text through execCommand where possible, so Ctrl+Z restores the old text
+    replaceEditorText(text) {
+        const editor = document.getElementById('queryEditor');
+        editor.focus();
+        editor.select();
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            editor.value = text;
+        }
+        this.clearStatementHighlight();
+        this.sheets.save();
+    }
+
+    // Opens a shared link: a new worksheet tab normally, or straight to the results in embed mode
+    async openShared({ encoded, embed }) {
+        let payload;
+        try {
+            payload = await ShareLink.decode(encoded);
+        } catch (error) {
+            console.error('Failed to read shared link:', error);
+            this.showError('This shared link is invalid or damaged: ' + error.message);
+            return;
+        }
+
+        // Values come from whoever made the link; entries with a type the form can't offer are dropped
+        Object.entries(payload.params || {}).forEach(([name, entry]) => {
+            if (QueryParameters.isValid(entry)) this.parameterValues[name] = { type: entry.type, value: entry.value };
+        });
+        this.saveParameterValues();
+        if (embed) {
+            document.getElementById('embedTitle').textContent = payload.name || 'Shared query';
+            document.getElementById('embedOpenLink').href = ShareLink.url(window.location, encoded, false);
+        } else {
+            this.sheets.create(payload.sql, payload.name || 'Shared query');
+            this.renderParameterForm(payload.sql);
+        }
+
+        await this.ready;
+        if (!this.isInitialized) return;
+
+        if (payload.seed) {
+            const tables = Array.isArray(payload.seedTables) ? payload.seedTables.map(String) : [];
+            let statements;
+            try {
+                statements = ShareLink.checkSeed(payload.seed, tables);
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+            const message = `This link includes data for ${tables.join(', ')}. Load it? Tables with the same names are replaced.`;
+            if (!embed && !confirm(message)) return;
+            try {
+                for (const statement of statements) {
+                    await this.runStatement(statement);
+                }
+                await this.persistChanges();
+            } catch (error) {
+                console.error('Failed to load shared data:', error);
+                this.showError('Failed to load the data included in the link: ' + error.message);
+                return;
+            } finally {
+                this.refreshCatalog();
+            }
+        }
+
+        if (embed) {
+            await this.executeQuery(payload.sql);
+            if (payload.chart && this.resultView && this.resultView.show) this.resultView.show('chart', payload.chart);
+        } else {
+            this.setStatus(`Opened shared worksheet "${payload.name || 'Shared query'}"`);
+        }
+    }
+
+    async showShareDialog() {
+        const modal = document.getElementById('shareModal');
+        const chartToggle = document.getElementById('shareChartToggle');
+        const urlOutput = document.getElementById('shareUrl');
+        const note = document.getElementById('shareNote');
+        const chart = this.resultView && this.resultView.current === 'chart' ? this.resultView.chart : null;
+
+        this.sheets.captureEditor();
+        const sheet = this.sheets.active();
+        chartToggle.checked = Boolean(chart);
+        chartToggle.disabled = !chart;
+        modal.style.display = 'flex';
+
+        const update = async () => {
+            const payload = {
+                v: 1,
+                name: sheet.name,
+                sql: sheet.sql,
+                params: Object.fromEntries(QueryParameters.names(sheet.sql)
+                    .filter(name => this.parameterValues[name])
+                    .map(name => [name, this.parameterValues[name]]))
+            };
+            const notes = [];
+            if (document.getElementById('shareSeedToggle').checked) {
+                const seed = await this.seedScript(sheet.sql);
+                if (seed.script) Object.assign(payload, { seed: seed.script, seedTables: seed.tables });
+                if (seed.skipped.length) notes.push(`Not included (over ${SHARE_SEED_MAX_ROWS} rows): ${seed.skipped.join(', ')}`);
+                if (!seed.script && !seed.skipped.length) notes.push('The query uses no tables from the catalog');
+            }
+            if (chartToggle.checked && chart) payload.chart = chart.options;
+
+            const url = ShareLink.url(window.location, await ShareLink.encode(payload), document.getElementById('shareEmbedToggle').checked);
+            urlOutput.value = url;
+            notes.unshift(`${url.length.toLocaleString()} characters${url.length > SHARE_URL_WARN_LENGTH ? ' - long links may be cut off by chat tools and browsers' : ''}`);
+            note.textContent = notes.join(' · ');
+        };
+
+        const toggles = modal.querySelectorAll('input[type="checkbox"]');
+        const onToggle = () => update().catch(error => {
+            note.textContent = 'Failed to build link: ' + error.message;
+        });
+        toggles.forEach(toggle => toggle.addEventListener('change', onToggle));
+        await onToggle();
+
+        document.getElementById('shareCopyBtn').onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(urlOutput.value);
+                this.setStatus('Share link copied to clipboard');
+            } catch (error) {
+                urlOutput.select();
+                this.setStatus('Copy failed - select the link and copy it manually');
+            }
+        };
+        document.getElementById('shareCloseBtn').onclick = () => {
+            modal.style.display = 'none';
+            toggles.forEach(toggle => toggle.removeEventListener('change', onToggle));
+        };
+    }
+
+    // CREATE/INSERT statements for the small catalog tables a query mentions
+    async seedScript(sql) {
+        const words = new Set(SQLEditor.tokenize(sql)
+            .filter(token => token.type !== 'string' && token.type !== 'comment')
+            .map(token => token.text.replace(/^"|"$/g, '').toLowerCase()));
+        const tables = (this.catalog || []).filter(object => object.kind === 'table' && object.schema === 'main' && words.has(object.name.toLowerCase()));
+
+        let script = '';
+        const included = [];
+        const skipped = [];
+        for (const table of tables) {
+            const name = this.quoteIdentifier(table.name);
+            const { rows, types } = await this.seedRows(table);
+            if (rows.length > SHARE_SEED_MAX_ROWS) {
+                skipped.push(table.name);
+                continue;
+            }
+
+            included.push(table.name);
+            script += `DROP TABLE IF EXISTS ${name};\n`;
+            script += `CREATE TABLE ${name} (${table.columns.map(column => `${this.quoteIdentifier(column.name)} ${column.type}`).join(', ')});\n`;
+            if (rows.length) {
+                const values = rows.map(row => `(${row.map((value, index) => this.seedLiteral(value, types[index])).join(', ')})`);
+                script += `INSERT INTO ${name} VALUES\n    ${values.join(',\n    ')};\n`;
+            }
+        }
+        return { script, tables: included, skipped };
+    }
+
+    async seedRows(table) {
+        const sql = `SELECT * FROM ${this.quoteIdentifier(table.name)} LIMIT ${SHARE_SEED_MAX_ROWS + 1}`;
+        if (this.isFallback) {
+            const [result] = await this.fallbackDb.exec(sql, { readOnly: true });
+            return { rows: result ? result.values : [], types: [] };
+        }
+        const result = await this.query(sql);
+        return {
+            rows: result.batches.flatMap(batch => ArrowRowSource.batchRows(batch)),
+            types: result.schema.fields.map(field => field.type)
+        };
+    }
+
+    // Numbers and booleans stay bare; everything else is written as text and cast by the column type on insert
+    seedLiteral(value, type) {
+        if (value === null || value === undefined) return 'NULL';
+        const numeric = type ? type.typeId === ARROW_TYPE.Int || type.typeId === ARROW_TYPE.Float : typeof value === 'number';
+        if (numeric || typeof value === 'boolean') return String(value);
+        return this.quoteLiteral(ValueFormatter.format(value, type));
+    }
+
+    isFileDrag(e) {
+        return e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    }
+
+    async importFiles(files) {
+        if (!this.isInitialized) {
+            this.showError('Database is not initialized yet. Please wait...');
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                this.setStatus(`Reading ${file.name}...`);
+                const preview = await this.inspectFile(file);
+                const options = await this.showImportPreview(preview);
+                if (!options) {
+                    this.setStatus('Ready');
+                    continue;
+                }
+
+                this.setStatus(`Importing ${file.name}...`);
+                const rowCount = await this.loadImportedFile(preview, options);
+                await this.persistChanges();
+                this.showSuccess(`Imported ${rowCount} row(s) from ${file.name} into ${options.kind} "${options.tableName}"`);
+                this.setStatus('Ready');
+                this.refreshCatalog();
+            } catch (error) {
+                console.error('Import error:', error);
+                this.showError(`Import Error (${file.name}): ${error.message}`);
+                this.setStatus('Error');
+            }
+        }
+    }
+
+    async inspectFile(file) {
+        const format = FileImporter.formatFor(file.name);
+        if (!format) {
+            throw new Error('Unsupported file type. Supported: .csv, .tsv, .parquet, .json, .ndjson, .jsonl');
+        }
+
+        const preview = { file, format, tableName: FileImporter.tableNameFor(file.name) };
+
+        if (this.isFallback) {
+            const data = FileImporter.parse(await file.text(), format);
+            preview.data = data;
+            preview.columns = data.columns;
+            preview.samples = data.rows.slice(0, 3);
+        } else {
+            // Register the browser File with DuckDB so it is read lazily instead of copied into memory
+            await this.db.registerFileHandle(file.name, file, window.duckdb.DuckDBDataProtocol.BROWSER_FILEREADER, true);
+            preview.source = this.fileReaderSql(file.name, format);
+
+            const described = await this.query(`DESCRIBE SELECT * FROM ${preview.source}`);
+            preview.columns = described.toArray().map(row => ({ name: row.column_name, type: row.column_type }));
+
+            const sample = await this.query(`SELECT * FROM ${preview.source} LIMIT 3`);
+            const fields = sample.schema.fields;
+            preview.samples = sample.toArray().map(row => fields.map(field => ValueFormatter.format(row[field.name], field.type)));
+        }
+
+        return preview;
+    }
+
+    fileReaderSql(fileName, format) {
+        const path = this.quoteLiteral(fileName);
+        switch (format) {
+            case 'csv': return `read_csv_auto(${path})`;
+            case 'tsv': return `read_csv_auto(${path}, delim = '\t')`;
+            case 'parquet': return `read_parquet(${path})`;
+            case 'json': return `read_json_auto(${path})`;
+            case 'ndjson': return `read_json_auto(${path}, format = 'newline_delimited')`;
+            default: throw new Error(`Unsupported format: ${format}`);
+        }
+    }
+
+    showImportPreview(preview) {
+        const modal = document.getElementById('importModal');
+        const body = document.getElementById('importModalBody');
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        const cancelBtn = document.getElementById('importCancelBtn');
+
+        const sampleFor = index => preview.samples
+            .map(row => row[index])
+            .filter(value => value !== null && value !== undefined)
+            .map(value => String(value))
+            .join(', ');
+
+        body.innerHTML = `
+            <div class="import-options">
+                <label>Name <input id="importTableName" type="text" value="${HTMLText.escape(preview.tableName)}"></label>
+                <label>Create as
+                    <select id="importKind">
+                        <option value="table">Table</option>
+                        <option value="view" ${this.isFallback ? 'disabled' : ''}>View</option>
+                    </select>
+                </label>
+                <span class="import-file">${HTMLText.escape(preview.file.name)} (${preview.format.toUpperCase()})</span>
+            </div>
+            <table class="results-table">
+                <thead>
+                    <tr><th>Load</th><th>Column</th><th>Type</th><th>Sample</th></tr>
+                </thead>
+                <tbody>
+                    ${preview.columns.map((col, i) => `
+                        <tr>
+                            <td><input type="checkbox" class="import-include" data-index="${i}" checked></td>
+                            <td><input type="text" class="import-name" data-index="${i}" value="${HTMLText.escape(col.name)}"></td>
+                            <td><input type="text" class="import-type" data-index="${i}" list="importTypes" value="${HTMLText.escape(col.type)}"></td>
+                            <td class="import-sample">${HTMLText.escape(sampleFor(i))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <datalist id="importTypes">
+                ${['INTEGER', 'BIGINT', 'DOUBLE', 'DECIMAL(18,3)', 'VARCHAR', 'BOOLEAN', 'DATE', 'TIMESTAMP'].map(type => `<option value="${type}">`).join('')}
+            </datalist>
+        `;
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const close = result => {
+                modal.style.display = 'none';
+                confirmBtn.onclick = null;
+                cancelBtn.onclick = null;
+                resolve(result);
+            };
+
+            cancelBtn.onclick = () => close(null);
+            confirmBtn.onclick = () => {
+                const tableName = document.getElementById('importTableName').value.trim();
+                if (!/^[A-Za-z_]\w*$/.test(tableName)) {
+                    alert('Table name must start with a letter or underscore and contain only letters, digits and underscores');
+                    return;
+                }
+
+                const columns = Array.from(body.querySelectorAll('.import-include'))
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => {
+                        const index = Number(checkbox.dataset.index);
+                        return {
+                            index,
+                            name: body.querySelector(`.import-name[data-index="${index}"]`).value.trim() || preview.columns[index].name,
+                            type: body.querySelector(`.import-type[data-index="${index}"]`).value.trim() || preview.columns[index].type
+                        };
+                    });
+                if (columns.length === 0) {
+                    alert('Select at least one column to load');
+                    return;
+                }
+
+                close({ tableName, kind: document.getElementById('importKind').value, columns });
+            };
+        });
+    }
+
+    async loadImportedFile(preview, options) {
+        if (this.isFallback) {
+            const columns = options.columns.map(col => ({ name: col.name, type: col.type.toUpperCase() }));
+            // The same conversion as INSERT, so a changed column type can't silently turn values into NULL
+            const rows = preview.data.rows.map((row, index) => options.columns.map(col => {
+                try {
+                    return SimpleSQL.coerce(row[col.index], col.type);
+                } catch (error) {
+                    throw new Error(`Row ${index + 1}, column ${col.name}: ${error.message}`);
+                }
+            }));
+            return await this.fallbackDb.loadTable(options.tableName, columns, rows);
+        }
+
+        const selectList = options.columns.map(col => {
+            const original = preview.columns[col.index];
+            const source = this.quoteIdentifier(original.name);
+            const expr = col.type === original.type ? source : `CAST(${source} AS ${col.type})`;
+            return `${expr} AS ${this.quoteIdentifier(col.name)}`;
+        }).join(', ');
+
+        const target = this.quoteIdentifier(options.tableName);
+        const createKind = options.kind === 'view' ? 'VIEW' : 'TABLE';
+        await this.query(`CREATE ${createKind} ${target} AS SELECT ${selectList} FROM ${preview.source}`);
+
+        const count = await this.query(`SELECT count(*) AS n FROM ${target}`);
+        return Number(count.toArray()[0].n);
+    }
+
+    bindCatalogEvents() {
+        const catalogPanel = document.getElementById('catalogPanel');
+        const catalogTree = document.getElementById('catalogTree');
+        const toggleBtn = document.getElementById('catalogToggleBtn');
+
+        toggleBtn.addEventListener('click', () => {
+            const collapsed = catalogPanel.classList.toggle('collapsed');
+            toggleBtn.textContent = collapsed ? '»' : '«';
+            toggleBtn.title = collapsed ? 'Expand catalog' : 'Collapse catalog';
+        });
+        document.getElementById('catalogRefreshBtn').addEventListener('click', () => this.refreshCatalog());
+
+        const persistToggle = document.getElementById('persistToggle');
+        const dbFileInput = document.getElementById('dbFileInput');
+        persistToggle.checked = this.persistenceEnabled();
+        persistToggle.addEventListener('change', () => this.setPersistence(persistToggle.checked));
+        document.getElementById('exportDbBtn').addEventListener('click', () => this.exportDatabase());
+        document.getElementById('importDbBtn').addEventListener('click', () => dbFileInput.click());
+        dbFileInput.addEventListener('change', () => {
+            if (dbFileInput.files.length > 0) this.importDatabase(dbFileInput.files[0]);
+            dbFileInput.value = '';
+        });
+
+        catalogTree.addEventListener('click', (e) => {
+            const previewBtn = e.target.closest('.catalog-preview');
+            if (previewBtn) {
+                e.preventDefault();
+                this.executeQuery(`SELECT * FROM ${previewBtn.dataset.qualified} LIMIT 100`);
+                return;
+            }
+
+            const profileBtn = e.target.closest('.catalog-profile');
+            if (profileBtn) {
+                e.preventDefault();
+                this.profileTable(profileBtn.dataset.qualified);
+                return;
+            }
+
+            // Clicking a name inserts it; the <summary> marker still expands and collapses the node
+            const name = e.target.closest('.catalog-name');
+            if (name) {
+                e.preventDefault();
+                this.insertAtCursor(name.dataset.insert);
+            }
+        });
+    }
+
+    async refreshCatalog() {
+        if (!this.isInitialized) return;
+
+        try {
+            this.catalog = await this.loadCatalog();
+            this.renderCatalog();
+            this.editor.setSchema(this.catalog, await this.loadFunctionNames());
+        } catch (error) {
+            console.error('Failed to load catalog:', error);
+            document.getElementById('catalogTree').innerHTML =
+                `<div class="catalog-empty">Failed to load catalog: ${HTMLText.escape(error.message)}</div>`;
+        }
+    }
+
+    async loadFunctionNames() {
+        if (this.isFallback) {
+            return [...Object.keys(SIMPLE_SQL_FUNCTIONS), ...SIMPLE_SQL_AGGREGATES];
+        }
+
+        // Operators such as "+" are listed as functions too; only word-like names complete
+        const result = await this.catalogQuery(`
+            SELECT DISTINCT function_name FROM duckdb_functions()
+            WHERE regexp_full_match(function_name, '[a-z_][a-z0-9_]*')
+            ORDER BY function_name
+        `);
+        return result.toArray().map(row => row.function_name);
+    }
+
+    async loadCatalog() {
+        if (this.isFallback) {
+            const tables = await this.fallbackDb.describe();
+            return tables.map(table => ({ schema: 'main', name: table.name, kind: 'table', columns: table.columns }));
+        }
+
+        const result = await this.catalogQuery(`
+            SELECT t.table_schema, t.table_name, t.table_type, c.column_name, c.data_type
+            FROM information_schema.tables t
+            LEFT JOIN information_schema.columns c
+                ON c.table_catalog = t.table_catalog
+                AND c.table_schema = t.table_schema
+                AND c.table_name = t.table_name
+            WHERE t.table_catalog = current_database()
+            ORDER BY t.table_schema, t.table_name, c.ordinal_position
+        `);
+
+        const objects = new Map();
+        result.toArray().forEach(row => {
+            const key = `${row.table_schema}.${row.table_name}`;
+            if (!objects.has(key)) {
+                objects.set(key, {
+                    schema: row.table_schema,
+                    name: row.table_name,
+                    kind: row.table_type === 'VIEW' ? 'view' : 'table',
+                    columns: []
+                });
+            }
+            if (row.column_name !== null) {
+                objects.get(key).columns.push({ name: row.column_name, type: row.data_type });
+            }
+        });
+
+        return Array.from(objects.values());
     }
 
-    exec(query) {
-        const trimmed = query.trim().toLowerCase();
-        
-        if (trimmed.startsWith('create table')) {
-            return this.createTable(query);
-        } else if (trimmed.startsWith('insert into')) {
-            return this.insertInto(query);
-        } else if (trimmed.startsWith('select')) {
-            return this.select(query);
-        } else if (trimmed.startsWith('drop table')) {
-            return this.dropTable(query);
-        } else if (trimmed.startsWith('read_csv_auto(') || trimmed.startsWith('read_parquet(')) {
-            // Handle DuckDB file reading functions
-            throw new Error(`File reading functions like read_csv_auto() and read_parquet() are not supported in the local SQL engine.
+    renderCatalog() {
+        const tree = document.getElementById('catalogTree');
 
-For advanced DuckDB features like:
-• read_csv_auto('https://example.com/file.csv')  
-• read_parquet('https://example.com/file.parquet')
+        if (this.catalog.length === 0) {
+            tree.innerHTML = '<div class="catalog-empty">No tables or views yet</div>';
+            return;
+        }
 
-Please use the full DuckDB WASM version instead of this local engine.`);
-        } else {
-            throw new Error(`Unsupported query type. This simple SQL engine supports: CREATE TABLE, INSERT INTO, SELECT, DROP TABLE
+        // Keep whatever the user had expanded across refreshes; schemas start expanded
+        const firstRender = !tree.querySelector('details');
+        const expanded = new Set(Array.from(tree.querySelectorAll('details[open]')).map(el => el.dataset.key));
 
-For advanced DuckDB features, please use the full DuckDB WASM version.`);
+        const schemas = new Map();
+        this.catalog.forEach(obj => {
+            if (!schemas.has(obj.schema)) schemas.set(obj.schema, []);
+            schemas.get(obj.schema).push(obj);
+        });
+
+        tree.innerHTML = Array.from(schemas.entries()).map(([schema, objects]) => `
+            <details data-key="${HTMLText.escape(schema)}" ${firstRender || expanded.has(schema) ? 'open' : ''}>
+                <summary><span class="catalog-schema">${HTMLText.escape(schema)}</span></summary>
+                ${objects.map(obj => {
+                    const key = `${obj.schema}.${obj.name}`;
+                    const qualified = this.qualifiedName(obj.schema, obj.name);
+                    return `
+                        <details class="catalog-object" data-key="${HTMLText.escape(key)}" ${expanded.has(key) ? 'open' : ''}>
+                            <summary>
+                                <span class="catalog-kind" title="${obj.kind}">${obj.kind === 'view' ? 'V' : 'T'}</span>
+                                <span class="catalog-name" data-insert="${HTMLText.escape(qualified)}" title="Insert name at cursor">${HTMLText.escape(obj.name)}</span>
+                                <button class="catalog-preview" data-qualified="${HTMLText.escape(qualified)}" title="Preview first 100 rows">▶</button>
+                                <button class="catalog-profile" data-qualified="${HTMLText.escape(qualified)}" title="Profile columns">∑</button>
+                            </summary>
+                            <ul>
+                                ${obj.columns.map(col => `
+                                    <li>
+                                        <span class="catalog-name" data-insert="${HTMLText.escape(this.sqlIdentifier(col.name))}" title="Insert name at cursor">${HTMLText.escape(col.name)}</span>
+                                        <span class="catalog-type">${HTMLText.escape(col.type)}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </details>
+                    `;
+                }).join('')}
+            </details>
+        `).join('');
+    }
+
+    qualifiedName(schema, name) {
+        const table = this.sqlIdentifier(name);
+        return schema === 'main' ? table : `${this.sqlIdentifier(schema)}.${table}`;
+    }
+
+    sqlIdentifier(name) {
+        return /^[a-z_][a-z0-9_]*$/.test(name) ? name : this.quoteIdentifier(name);
+    }
+
+    insertAtCursor(text) {
+        const editor = document.getElementById('queryEditor');
+        this.editor.replaceRange(editor.selectionStart, editor.selectionEnd, text);
+    }
+
+    executeSelectionOrScript() {
+        const editor = document.getElementById('queryEditor');
+        const { selectionStart, selectionEnd } = editor;
+
+        if (selectionStart !== selectionEnd) {
+            return this.executeQuery(editor.value.slice(selectionStart, selectionEnd), selectionStart);
         }
+        return this.executeQuery();
     }
 
-    run(query) {
-        this.exec(query);
+    // Runs EXPLAIN [ANALYZE] for the selection or the statement under the cursor
+    explainCurrentStatement(analyze) {
+        const editor = document.getElementById('queryEditor');
+        const { selectionStart, selectionEnd, value } = editor;
+        const statements = selectionStart !== selectionEnd
+            ? SQLScriptSplitter.split(value.slice(selectionStart, selectionEnd))
+            : SQLScriptSplitter.split(value);
+        const statement = selectionStart !== selectionEnd ? statements[0] : SQLScriptSplitter.statementAt(statements, selectionStart);
+        if (!statement) {
+            this.showError('Please enter a SQL query');
+            return;
+        }
+
+        const existing = QueryPlan.match(statement.text);
+        return this.executeQuery(`EXPLAIN ${analyze ? 'ANALYZE ' : ''}${existing ? existing.sql : statement.text}`);
     }
 
-    createTable(query) {
-        const match = query.match(/create\s+table\s+(\w+)\s*\((.*)\)/i);
-        if (!match) throw new Error('Invalid CREATE TABLE syntax');
-        
-        const tableName = match[1].toLowerCase();
-        const columnsStr = match[2];
-        
-        const columns = columnsStr.split(',').map(col => {
-            const parts = col.trim().split(/\s+/);
-            return { name: parts[0], type: parts[1] || 'TEXT' };
-        });
-        
-        this.tables.set(tableName, { columns, rows: [] });
-        return [];
+    executeCurrentStatement() {
+        const editor = document.getElementById('queryEditor');
+        if (editor.selectionStart !== editor.selectionEnd) {
+            return this.executeSelectionOrScript();
+        }
+
+        const statement = SQLScriptSplitter.statementAt(SQLScriptSplitter.split(editor.value), editor.selectionStart);
+        if (!statement) {
+            this.showError('Please enter a SQL query');
+            return;
+        }
+        return this.executeQuery(statement.text, statement.start);
     }
 
-    insertInto(query) {
-        const match = query.match(/insert\s+into\s+(\w+)\s+values\s*\((.*)\)/i);
-        if (!match) throw new Error('Invalid INSERT syntax');
-        
-        const tableName = match[1].toLowerCase();
-        const valuesStr = match[2];
-        
-        if (!this.tables.has(tableName)) {
-            throw new Error(`Table '${tableName}' does not exist`);
+    // editorOffset is where queryText starts in the editor, so executed statements can be highlighted there;
+    // with no queryText the whole editor runs. history: false keeps scripts the user didn't write (dump imports)
+    // out of the query history.
+    async executeQuery(queryText = null, editorOffset = null, { history = true } = {}) {
+        if (!this.isInitialized) {
+            this.showError('Database is not initialized yet. Please wait...');
+            return;
         }
-        
-        const table = this.tables.get(tableName);
-        
-        // Parse multiple value sets: (1, 'John'), (2, 'Jane')
-        const valuesSets = this.parseValuesSets(valuesStr);
-        
-        valuesSets.forEach(values => {
-            if (values.length !== table.columns.length) {
-                throw new Error(`Column count mismatch. Expected ${table.columns.length}, got ${values.length}`);
+
+        if (queryText === null) {
+            queryText = document.getElementById('queryEditor').value;
+            editorOffset = 0;
+        }
+
+        const statements = SQLScriptSplitter.split(queryText);
+        if (statements.length === 0) {
+            this.showError('Please enter a SQL query');
+            return;
+        }
+        if (editorOffset !== null) {
+            this.sheets.markRun();
+        }
+
+        const startTime = performance.now();
+        const atomic = document.getElementById('atomicToggle').checked;
+        this.editor.clearDiagnostic();
+        const stopOnError = document.getElementById('stopOnErrorToggle').checked;
+        let transactionStarted = false;
+        this.showLoading(true);
+        this.setStatus('Executing query...');
+
+        try {
+            // In atomic mode the whole script runs inside one transaction, on either engine
+            if (atomic) {
+                await this.runTransactionStatement('BEGIN TRANSACTION');
+                transactionStarted = true;
             }
-            table.rows.push(values);
-        });
-        
-        return [];
-    }
 
-    parseValuesSets(valuesStr) {
-        const sets = [];
-        let current = '';
-        let inQuotes = false;
-        let parenCount = 0;
-        
-        for (let i = 0; i < valuesStr.length; i++) {
-            const char = valuesStr[i];
-            
-            if (char === "'" && (i === 0 || valuesStr[i-1] !== '\\')) {
-                inQuotes = !inQuotes;
+            // One outcome per statement: status is 'rows', 'plan', 'ok', 'error' or 'skipped'
+            const outcomes = [];
+            let failedIndex = -1;
+            let cancelled = false;
+
+            for (const [index, statement] of statements.entries()) {
+                const sql = statement.text;
+
+                // An error aborts an atomic script's transaction, so nothing after it could succeed
+                if (failedIndex !== -1 && (stopOnError || transactionStarted || cancelled)) {
+                    outcomes.push({ sql, status: 'skipped' });
+                    continue;
+                }
+
+                if (editorOffset !== null) this.highlightStatement(editorOffset + statement.start, editorOffset + statement.end);
+
+                const statementStart = performance.now();
+                try {
+                    const { result, rowsAffected, plan } = await this.runCancellable(() => this.runStatement(sql));
+                    outcomes.push({
+                        sql,
+                        status: result ? 'rows' : plan ? 'plan' : 'ok',
+                        result,
+                        rowsAffected,
+                        plan,
+                        time: Math.round(performance.now() - statementStart)
+                    });
+                } catch (error) {
+                    console.error(`Statement ${index + 1} failed:`, error);
+                    outcomes.push({
+                        sql,
+                        status: 'error',
+                        error,
+                        time: Math.round(performance.now() - statementStart),
+                        diagnostic: editorOffset === null ? null : this.diagnose(error, sql, editorOffset + statement.start)
+                    });
+                    if (failedIndex === -1) failedIndex = index;
+                    if (error instanceof QueryCancelledError) cancelled = true;
+                }
             }
-            
-            if (!inQuotes) {
-                if (char === '(') parenCount++;
-                if (char === ')') parenCount--;
+
+            let rolledBack = false;
+            if (transactionStarted) {
+                transactionStarted = false;
+                if (failedIndex === -1) {
+                    await this.runTransactionStatement('COMMIT');
+                } else {
+                    // A restarted DuckDB worker no longer has the transaction to roll back
+                    try {
+                        await this.runTransactionStatement('ROLLBACK');
+                        rolledBack = true;
+                    } catch (error) {
+                        console.error('Rollback failed:', error);
+                    }
+                }
+            }
+
+            const executionTime = Math.round(performance.now() - startTime);
+            if (history) this.recordHistory(queryText, executionTime, outcomes);
+
+            const diagnostic = failedIndex === -1 ? null : outcomes[failedIndex].diagnostic;
+            if (diagnostic) {
+                const failed = statements[failedIndex];
+                this.highlightStatement(editorOffset + failed.start, editorOffset + failed.end);
+                if (diagnostic.start !== null) this.editor.setDiagnostic(diagnostic.start, diagnostic.end, diagnostic.message);
+            }
+
+            if (outcomes.length === 1) {
+                this.displayOutcome(outcomes[0], executionTime, document.getElementById('results'));
+            } else {
+                this.displayScriptResults(outcomes, executionTime, rolledBack);
+            }
+
+            if (failedIndex !== -1) {
+                this.setStatus('Error', `Statement ${failedIndex + 1} failed`);
+            } else {
+                this.setStatus(this.isFallback && this.fallbackDb.inTransaction ? 'Ready - transaction open' : 'Ready');
             }
             
-            if (!inQuotes && parenCount === 0 && char === ',') {
-                if (current.trim()) {
-                    sets.push(this.parseValues(current.trim()));
+        } catch (error) {
+            console.error('Query execution error:', error);
+            let message = 'Query Error: ' + error.message;
+
+            if (transactionStarted) {
+                try {
+                    await this.runTransactionStatement('ROLLBACK');
+                    message += ' (all statements in the transaction were rolled back)';
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                    message += ' (rollback failed: ' + rollbackError.message + ')';
                 }
-                current = '';
-            } else {
-                current += char;
+            }
+
+            if (history) this.recordHistory(queryText, Math.round(performance.now() - startTime), [], error);
+            this.showError(message);
+            this.setStatus('Error');
+        } finally {
+            this.showLoading(false);
+
+            // Even a failed script may have created or dropped objects before the error
+            if (statements.some(stmt => this.isDDLStatement(stmt.text))) {
+                this.refreshCatalog();
+            }
+            if (statements.some(stmt => !this.isSelectStatement(stmt.text))) {
+                await this.persistChanges();
             }
         }
-        
-        if (current.trim()) {
-            sets.push(this.parseValues(current.trim()));
+    }
+
+    // Runs a statement that the Cancel button or the query timeout can interrupt. DuckDB is asked to
+    // cancel the pending query first; SimpleSQL, or a DuckDB query that won't stop, gets a new worker.
+    runCancellable(task) {
+        const timeout = this.getQueryTimeout();
+
+        return new Promise((resolve, reject) => {
+            let taskDone = false;
+            let stopReason = null;
+            let timer = null;
+
+            const finish = () => {
+                clearTimeout(timer);
+                this.cancelRunning = null;
+            };
+
+            const interrupt = async (reason) => {
+                if (taskDone || stopReason) return;
+                stopReason = reason;
+                this.setStatus('Cancelling...');
+                try {
+                    if (await this.interruptEngine(() => taskDone)) {
+                        // With persistence on, the restarted worker has reopened the stored database
+                        stopReason += this.persistent
+                            ? ' - the DuckDB worker had to be restarted, so changes since the last checkpoint were lost'
+                            : ` - the DuckDB worker had to be restarted, so in-memory tables were lost${this.describeStorage()}`;
+                    }
+                } catch (error) {
+                    console.error('Failed to interrupt query:', error);
+                }
+                finish();
+                reject(new QueryCancelledError(stopReason));
+            };
+
+            this.cancelRunning = () => interrupt('Query cancelled');
+            if (timeout > 0) {
+                timer = setTimeout(() => interrupt(`Query timed out after ${timeout}s`), timeout * 1000);
+            }
+
+            task().then(
+                (value) => {
+                    taskDone = true;
+                    if (stopReason) return;
+                    finish();
+                    resolve(value);
+                },
+                (error) => {
+                    taskDone = true;
+                    if (stopReason) return;
+                    finish();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    cancelQuery() {
+        if (this.cancelRunning) this.cancelRunning();
+    }
+
+    // Returns true when DuckDB had to be restarted, which loses its in-memory data
+    async interruptEngine(isStopped) {
+        if (this.isFallback) {
+            await this.fallbackDb.restart();
+            return false;
         }
-        
-        return sets;
+
+        await this.connection.cancelSent();
+        if (await this.waitFor(isStopped, CANCEL_GRACE_MS)) return false;
+
+        this.rowSource = null;
+        this.checkpointPending = false;
+        await this.db.terminate();
+        await this.startDuckDB(window.duckdb || window.DuckDB, this.bundle);
+        this.refreshCatalog();
+        return true;
     }
 
-    parseValues(valuesStr) {
-        // Remove outer parentheses
-        valuesStr = valuesStr.replace(/^\(|\)$/g, '');
-        
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < valuesStr.length; i++) {
-            const char = valuesStr[i];
-            
-            if (char === "'" && (i === 0 || valuesStr[i-1] !== '\\')) {
-                inQuotes = !inQuotes;
-                continue;
+    async waitFor(condition, timeoutMs) {
+        const deadline = performance.now() + timeoutMs;
+        while (!condition() && performance.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return condition();
+    }
+
+    getQueryTimeout() {
+        const seconds = parseFloat(document.getElementById('timeoutInput').value);
+        return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+    }
+
+    // Runs one statement on the active engine. Statements that return rows come back as
+    // { sql, columns, fields, rows, source } with the first page of rows already fetched from source.
+    // Placeholders are inlined as literals for SimpleSQL and bound through a prepared statement for DuckDB
+    // Results keep the statement as written (statement) next to what was executed (sql and params)
+    async runStatement(sql) {
+        const statement = sql;
+        const parameterized = QueryParameters.find(sql).length > 0;
+
+        if (this.isFallback) {
+            if (QueryPlan.match(sql)) throw new Error('EXPLAIN needs the DuckDB engine - SimpleSQL has no query planner');
+            if (parameterized) sql = QueryParameters.bindInline(sql, this.parameterValues);
+            if (this.isSelectStatement(sql)) {
+                const result = await this.fallbackDb.exec(sql, { readOnly: true });
+                if (result.length === 0) return { result: null, rowsAffected: null };
+                const page = await this.fetchFirstPage(sql, result[0].columns, null, new ArrayRowSource(result[0].values));
+                page.statement = statement;
+                return { result: page, rowsAffected: null };
             }
-            
-            if (!inQuotes && char === ',') {
-                values.push(this.parseValue(current.trim()));
-                current = '';
+            return { result: null, rowsAffected: await this.fallbackDb.run(sql) };
+        }
+
+        const { sql: boundSql, params } = parameterized ? QueryParameters.bindPrepared(sql, this.parameterValues) : { sql, params: [] };
+
+        const explain = QueryPlan.match(boundSql);
+        if (explain) {
+            return { result: null, rowsAffected: null, plan: await this.explainPlan(explain, params) };
+        }
+
+        if (this.isSelectStatement(sql)) {
+            await this.releaseRowSource();
+            let prepared = null;
+            let reader;
+            if (parameterized) {
+                prepared = await this.connection.prepare(boundSql);
+                reader = await prepared.send(...params);
             } else {
-                current += char;
+                reader = await this.connection.send(sql);
             }
+            await reader.open();
+            this.rowSource = new ArrowRowSource(reader, prepared);
+            const fields = reader.schema.fields;
+            const result = await this.fetchFirstPage(boundSql, fields.map(field => field.name), fields, this.rowSource);
+            result.params = params;
+            result.statement = statement;
+            return { result, rowsAffected: null };
         }
-        
-        if (current.trim()) {
-            values.push(this.parseValue(current.trim()));
+
+        const result = await this.query(boundSql, params);
+        return { result: null, rowsAffected: this.affectedRows(sql, result) };
+    }
+
+    // Asks for the JSON plan; builds without EXPLAIN (FORMAT JSON) get DuckDB's text rendering instead
+    async explainPlan({ analyze, sql }, params) {
+        try {
+            const table = await this.query(`EXPLAIN (${analyze ? 'ANALYZE, ' : ''}FORMAT JSON) ${sql}`, params);
+            const rows = table.toArray();
+            return QueryPlan.parse(rows[rows.length - 1].explain_value, analyze);
+        } catch (error) {
+            console.error('JSON plan unavailable, falling back to text:', error);
+            const table = await this.query(`EXPLAIN ${analyze ? 'ANALYZE ' : ''}${sql}`, params);
+            return { analyze, text: table.toArray().map(row => row.explain_value).join('\n') };
         }
-        
-        return values;
     }
 
-    parseValue(value) {
-        value = value.trim();
-        
-        if (value.toLowerCase() === 'null') return null;
-        if (value === 'true') return true;
-        if (value === 'false') return false;
-        
-        // Try to parse as number
-        if (/^-?\d+$/.test(value)) return parseInt(value, 10);
-        if (/^-?\d*\.\d+$/.test(value)) return parseFloat(value);
-        
-        return value;
+    async fetchFirstPage(sql, columns, fields, source) {
+        const rows = [];
+        await source.next(this.getRowLimit(), rows, (count) => {
+            this.setStatus('Fetching results...', `${count.toLocaleString()} rows`);
+        });
+        return { sql, columns, fields, rows, source };
     }
 
-    select(query) {
-        // For flexible SELECT statements (including DuckDB functions and external files),
-        // we'll try basic parsing first, but if it doesn't match our simple pattern,
-        // we'll return a helpful message instead of throwing an error
-        
-        const basicMatch = query.match(/select\s+(.*?)\s+from\s+(\w+)(?:\s+where\s+(.*))?/i);
-        
-        if (basicMatch) {
-            // Handle basic SELECT from local tables
-            const columnsStr = basicMatch[1].trim();
-            const tableName = basicMatch[2].toLowerCase();
-            const whereClause = basicMatch[3];
-            
-            if (!this.tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+    // Every DuckDB statement goes through here (or runStatement), so an open streaming result
+    // is closed before the connection moves on to another query; catalog lookups use catalogQuery instead
+    // params bind "?" placeholders through a prepared statement
+    async query(sql, params = []) {
+        await this.releaseRowSource();
+        if (params.length === 0) return this.connection.query(sql);
+
+        const statement = await this.connection.prepare(sql);
+        try {
+            return await statement.query(...params);
+        } finally {
+            await statement.close();
+        }
+    }
+
+    async releaseRowSource() {
+        if (!this.rowSource) return;
+        const source = this.rowSource;
+        this.rowSource = null;
+        try {
+            await source.close();
+        } catch (error) {
+            console.error('Failed to close streaming result:', error);
+        }
+        if (this.checkpointPending) await this.persistChanges();
+    }
+
+    // Read-only lookups for the catalog and completion; they leave the user's result stream open
+    async catalogQuery(sql) {
+        return this.catalogConnection.query(sql);
+    }
+
+    async runTransactionStatement(sql) {
+        if (this.isFallback) {
+            await this.fallbackDb.exec(sql);
+        } else {
+            await this.query(sql);
+        }
+    }
+
+    // The textarea can't style part of its text, so a mirror element behind it marks the statement
+    highlightStatement(start, end) {
+        this.editor.markRange(start, end);
+    }
+
+    // Also redraws the editor layer, so call it after setting the editor text directly
+    clearStatementHighlight() {
+        this.editor.clearMark();
+        this.editor.clearDiagnostic();
+    }
+
+    isSelectStatement(statement) {
+        const trimmed = statement.trim().toLowerCase();
+        return trimmed.startsWith('select') || 
+               trimmed.startsWith('show') || 
+               trimmed.startsWith('describe') ||
+               trimmed.startsWith('explain') ||
+               trimmed.startsWith('with');
+    }
+
+    // DuckDB answers INSERT/UPDATE/DELETE with a single "Count" column
+    affectedRows(statement, result) {
+        if (!/^\s*(insert|update|delete)\b/i.test(statement)) return null;
+        if (result.numRows !== 1 || result.schema.fields.length !== 1 || result.schema.fields[0].name !== 'Count') return null;
+        return Number(result.getChildAt(0).get(0));
+    }
+
+    formatRowsAffected(rowsAffected) {
+        return rowsAffected === null ? '' : ` - ${rowsAffected} row(s) affected`;
+    }
+
+    isDDLStatement(statement) {
+        return /^\s*(create|drop|alter|attach|detach|import|use)\b/i.test(statement);
+    }
+
+    // Renders one statement's outcome; number is its position when it came from a multi-statement script
+    displayOutcome(outcome, executionTime, container, number = null) {
+        const label = number === null ? 'Query' : `Statement ${number}`;
+
+        switch (outcome.status) {
+            case 'rows':
+                this.displayResults(outcome.result, executionTime, container);
+                break;
+            case 'ok':
+                container.innerHTML = `<div class="success">${HTMLText.escape(`${label} executed successfully in ${executionTime}ms${this.formatRowsAffected(outcome.rowsAffected)}`)}</div>`;
+                break;
+            case 'plan':
+                this.displayPlan(outcome.plan, executionTime, container);
+                break;
+            case 'error': {
+                const prefix = number === null ? 'Query Error: ' : `${label} failed: `;
+                container.innerHTML = this.errorHtml(prefix, outcome.error, outcome.diagnostic);
+                this.bindSuggestions(container, outcome.diagnostic);
+                break;
             }
-            
-            const table = this.tables.get(tableName);
-            let rows = [...table.rows];
-            
-            // Apply WHERE clause
-            if (whereClause) {
-                rows = rows.filter(row => this.evaluateWhere(row, table.columns, whereClause));
+            default:
+                container.innerHTML = `<div class="statement-skipped">${label} was skipped because an earlier statement failed</div>`;
+        }
+    }
+
+    // One tab per statement; only the selected tab's result is rendered
+    displayScriptResults(outcomes, executionTime, rolledBack) {
+        const resultsDiv = document.getElementById('results');
+        const count = status => outcomes.filter(outcome => outcome.status === status).length;
+        const failed = count('error');
+        const skipped = count('skipped');
+
+        let summary = `${outcomes.length - failed - skipped} of ${outcomes.length} statements succeeded in ${executionTime}ms`;
+        if (failed) summary += ` - ${failed} failed`;
+        if (skipped) summary += `, ${skipped} skipped`;
+        if (rolledBack) summary += ' - all changes were rolled back';
+
+        resultsDiv.innerHTML = `
+            <div class="${failed ? 'error' : 'success'}">${HTMLText.escape(summary)}</div>
+            <div class="statement-tabs">
+                ${outcomes.map((outcome, index) => `
+                    <button class="statement-tab ${outcome.status}" data-index="${index}" title="${HTMLText.escape(outcome.sql)}">${HTMLText.escape(this.statementTabLabel(outcome, index + 1))}</button>
+                `).join('')}
+            </div>
+            <pre class="statement-sql"></pre>
+            <div class="statement-result"></div>
+        `;
+
+        const tabs = resultsDiv.querySelectorAll('.statement-tab');
+        const selectTab = (index) => {
+            const outcome = outcomes[index];
+            tabs.forEach(tab => tab.classList.toggle('active', Number(tab.dataset.index) === index));
+            resultsDiv.querySelector('.statement-sql').textContent = outcome.sql;
+            this.displayOutcome(outcome, outcome.time, resultsDiv.querySelector('.statement-result'), index + 1);
+        };
+
+        resultsDiv.querySelector('.statement-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('.statement-tab');
+            if (tab) selectTab(Number(tab.dataset.index));
+        });
+
+        // Open on the first failure, otherwise on the last statement that returned rows
+        const firstError = outcomes.findIndex(outcome => outcome.status === 'error');
+        const lastRows = outcomes.map(outcome => (outcome.status === 'plan' ? 'rows' : outcome.status)).lastIndexOf('rows');
+        selectTab(firstError !== -1 ? firstError : lastRows !== -1 ? lastRows : outcomes.length - 1);
+    }
+
+    formatRowLabel(result) {
+        const count = result.rows.length;
+        return result.source.hasMore ? `${count.toLocaleString()}+ rows` : `${count.toLocaleString()} ${count === 1 ? 'row' : 'rows'}`;
+    }
+
+    statementTabLabel(outcome, number) {
+        const keyword = (outcome.sql.match(/^\w+/) || ['SQL'])[0].toUpperCase();
+        switch (outcome.status) {
+            case 'rows':
+                return `${number}. ${keyword} (${this.formatRowLabel(outcome.result)})`;
+            case 'error':
+                return `${number}. ${keyword} - failed`;
+            case 'skipped':
+                return `${number}. ${keyword} - skipped`;
+            case 'plan':
+                return `${number}. ${keyword} (plan)`;
+            default:
+                return outcome.rowsAffected === null ? `${number}. ${keyword}` : `${number}. ${keyword} (${outcome.rowsAffected} affected)`;
+        }
+    }
+
+    displayResults(result, executionTime, resultsDiv = document.getElementById('results')) {
+        if (result.rows.length === 0) {
+            resultsDiv.innerHTML = `
+                <div class="success">Query executed successfully in ${executionTime}ms - No rows returned</div>
+                <p style="color: #7f8c8d; text-align: center; padding: 2rem;">No data to display</p>
+            `;
+            return;
+        }
+
+        this.currentResult = result;
+
+        resultsDiv.innerHTML = `
+            <div class="success">
+                Query executed successfully in ${executionTime}ms - <span class="row-summary"></span>
+                <button class="download-btn" onclick="window.worksheet.exportResults()">Export</button>
+                <span class="view-toggle">
+                    <button data-view="table" class="active">Table</button>
+                    <button data-view="chart">Chart</button>
+                    <button data-view="profile">Profile</button>
+                </span>
+            </div>
+            <div class="result-grid"></div>
+            <div class="value-inspector" style="display: none;"></div>
+            <div class="result-chart" style="display: none;"></div>
+            <div class="result-profile" style="display: none;"></div>
+        `;
+
+        // SimpleSQL results have no Arrow schema; their values are formatted by JavaScript type
+        const types = result.columns.map((_, index) => (result.fields ? result.fields[index].type : null));
+        const cellText = (cell, col) => ValueFormatter.format(cell, types[col], { maxBytes: BLOB_PREVIEW_BYTES });
+
+        const summary = resultsDiv.querySelector('.row-summary');
+        const gridContainer = resultsDiv.querySelector('.result-grid');
+        const grid = new ResultGrid(gridContainer, result.columns, result.rows, {
+            renderCell: (cell, col, row) => {
+                if (cell === null || cell === undefined) return '<em>NULL</em>';
+                const text = HTMLText.escape(cellText(cell, col));
+                return ValueFormatter.isNested(types[col])
+                    ? `<span class="nested-value" data-row="${row}" data-col="${col}" title="Click to expand">${text}</span>`
+                    : text;
+            },
+            cellText,
+            // Decimals arrive unscaled and nested values as Arrow objects; order those by their numeric or text value
+            sortValue: (cell, col) => {
+                const type = types[col];
+                if (type && type.typeId === ARROW_TYPE.Decimal) return Number(ValueFormatter.formatDecimal(cell, type.scale));
+                return ['number', 'bigint', 'string', 'boolean'].includes(typeof cell) ? cell : cellText(cell, col);
+            },
+            onFetchMore: () => this.fetchMoreRows(result, grid, summary),
+            onCopy: (rowIndexes, columnIndexes) => this.copyCells(result, rowIndexes, columnIndexes),
+            onPushDown: state => this.pushDownGridState(result, state)
+        });
+        this.updateRowCount(result, grid, summary);
+        this.resultView = { result, grid, summary };
+        this.bindResultViewToggle(resultsDiv, result);
+
+        gridContainer.addEventListener('click', (e) => {
+            const nested = e.target.closest('.nested-value');
+            if (!nested) return;
+            const row = Number(nested.dataset.row);
+            const col = Number(nested.dataset.col);
+            this.inspectValue(resultsDiv.querySelector('.value-inspector'), result.columns[col], row, result.rows[row][col], types[col]);
+        });
+    }
+
+    async copyCells(result, rowIndexes, columnIndexes) {
+        const rows = rowIndexes.map(index => columnIndexes.map(col => result.rows[index][col]));
+        const fields = result.fields ? columnIndexes.map(col => result.fields[col]) : null;
+        const text = ResultExporter.toDelimited(columnIndexes.map(col => result.columns[col]), fields, rows, { delimiter: '\t', header: false });
+        try {
+            await navigator.clipboard.writeText(text.replace(/\n$/, ''));
+            this.setStatus('Ready', `Copied ${(rows.length * columnIndexes.length).toLocaleString()} cell(s)`);
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.setStatus('Error', 'Copy failed: ' + error.message);
+        }
+    }
+
+    // A truncated result was only sorted and filtered in the browser; run the statement again inside a
+    // query that does both, so they cover every row. SimpleSQL already holds every row, so it loads the rest.
+    async pushDownGridState(result, state) {
+        if (this.isFallback) {
+            await this.fetchMoreRows(result, this.resultView.grid, this.resultView.summary, Infinity);
+            return;
+        }
+
+        const column = col => this.quoteIdentifier(result.columns[col]);
+        const numeric = col => !!result.fields && [ARROW_TYPE.Int, ARROW_TYPE.Float, ARROW_TYPE.Decimal].includes(result.fields[col].type.typeId);
+        const where = state.filters
+            .map(({ col, text }) => this.gridFilterSql(column(col), ResultGrid.parseFilter(text), numeric(col)))
+            .filter(condition => condition);
+        const order = state.sort.map(({ col, desc }) => `${column(col)} ${desc ? 'DESC' : 'ASC'} NULLS LAST`);
+
+        // The newline keeps a trailing -- comment from swallowing the closing parenthesis
+        const sql = `SELECT * FROM (${result.statement}\n) AS grid_source` +
+            (where.length ? ` WHERE ${where.join(' AND ')}` : '') +
+            (order.length ? ` ORDER BY ${order.join(', ')}` : '');
+        await this.executeQuery(sql);
+        if (this.resultView && this.resultView.result.columns.join('\n') === result.columns.join('\n')) {
+            this.resultView.grid.setState(state);
+        }
+    }
+
+    // Mirrors ResultGrid.matches: text filters search the value as text, comparisons are numeric on number columns
+    gridFilterSql(column, filter, numeric) {
+        if (!filter) return null;
+        switch (filter.op) {
+            case 'null':
+                return `${column} IS NULL`;
+            case 'notnull':
+                return `${column} IS NOT NULL`;
+            case 'contains':
+                return `contains(lower(CAST(${column} AS VARCHAR)), ${this.quoteLiteral(filter.value.toLowerCase())})`;
+            default:
+                return numeric && filter.number !== null
+                    ? `${column} ${filter.op} ${filter.number}`
+                    : `CAST(${column} AS VARCHAR) ${filter.op} ${this.quoteLiteral(filter.value)}`;
+        }
+    }
+
+    // The chart is built on first use and redrawn on every switch, since Fetch more may have added rows;
+    // the profile is computed once, unless it only covered the rows loaded at the time
+    bindResultViewToggle(resultsDiv, result) {
+        const chartContainer = resultsDiv.querySelector('.result-chart');
+        const profileContainer = resultsDiv.querySelector('.result-profile');
+        const view = this.resultView;
+        view.chart = null;
+        view.profile = null;
+        view.current = 'table';
+
+        // name is 'table', 'chart' or 'profile'; options (from a shared link) only apply when the chart is first built
+        view.show = (name, options = null) => {
+            view.current = name;
+            resultsDiv.querySelectorAll('.view-toggle button').forEach(b => b.classList.toggle('active', b.dataset.view === name));
+            resultsDiv.querySelector('.result-grid').style.display = name === 'table' ? '' : 'none';
+            resultsDiv.querySelector('.value-inspector').style.display = 'none';
+            chartContainer.style.display = name === 'chart' ? '' : 'none';
+            profileContainer.style.display = name === 'profile' ? '' : 'none';
+
+            if (name === 'profile') {
+                if (!view.profile || !view.profile.complete) this.renderResultProfile(view, profileContainer);
+                return;
             }
-            
-            // Select columns
-            let columns, values;
-            if (columnsStr === '*') {
-                columns = table.columns.map(col => col.name);
-                values = rows;
+            if (name !== 'chart') return;
+            if (view.chart) {
+                view.chart.render();
             } else {
-                const selectedCols = columnsStr.split(',').map(col => col.trim());
-                columns = selectedCols;
-                
-                const colIndices = selectedCols.map(colName => {
-                    const index = table.columns.findIndex(col => col.name.toLowerCase() === colName.toLowerCase());
-                    if (index === -1) throw new Error(`Column '${colName}' not found`);
-                    return index;
+                view.chart = new ResultChart(chartContainer, result, {
+                    onDownload: (data, fileName, mimeType) => this.downloadBlob(data, fileName, mimeType),
+                    options
                 });
-                
-                values = rows.map(row => colIndices.map(index => row[index]));
             }
-            
-            return [{ columns, values }];
-        } else {
-            // For advanced queries like SELECT from URLs or DuckDB functions
-            throw new Error(`Advanced SELECT queries (like reading from URLs or using functions) are not supported in the local SQL engine. 
-            
-Supported format: SELECT columns FROM table_name [WHERE condition]
-            
-For advanced DuckDB features like:
-• SELECT * FROM 'https://example.com/file.parquet'
-• read_csv_auto('https://example.com/file.csv')
+        };
 
-Please use the full DuckDB WASM version instead of this local engine.`);
-        }
+        resultsDiv.querySelectorAll('.view-toggle button').forEach(button => {
+            button.addEventListener('click', () => view.show(button.dataset.view));
+        });
     }
 
-    evaluateWhere(row, columns, whereClause) {
-        // Simple WHERE evaluation - supports basic comparisons
-        const match = whereClause.match(/(\w+)\s*([><=]+)\s*(.+)/i);
-        if (!match) return true; // If we can't parse it, include the row
-        
-        const [, columnName, operator, valueStr] = match;
-        const columnIndex = columns.findIndex(col => col.name.toLowerCase() === columnName.toLowerCase());
-        
-        if (columnIndex === -1) return true;
-        
-        const rowValue = row[columnIndex];
-        const compareValue = this.parseValue(valueStr);
-        
-        switch (operator) {
-            case '=': return rowValue == compareValue;
-            case '>': return rowValue > compareValue;
-            case '<': return rowValue < compareValue;
-            case '>=': return rowValue >= compareValue;
-            case '<=': return rowValue <= compareValue;
-            case '!=':
-            case '<>': return rowValue != compareValue;
-            default: return true;
+    async renderResultProfile(view, container) {
+        container.innerHTML = '<div class="profile-note">Profiling columns...</div>';
+        this.showLoading(true);
+        this.setStatus('Profiling...');
+        try {
+            view.profile = await this.runCancellable(() => this.profileResult(view.result));
+            const note = view.profile.complete
+                ? `${view.profile.rowCount.toLocaleString()} row(s) profiled`
+                : `Computed over the ${view.result.rows.length.toLocaleString()} rows loaded so far - fetch more rows and switch back to update`;
+            container.innerHTML = `<div class="profile-note">${HTMLText.escape(note)}</div>${ColumnProfile.html(view.profile.profiles)}`;
+            this.setStatus('Ready');
+        } catch (error) {
+            console.error('Profiling failed:', error);
+            container.innerHTML = `<div class="error">${HTMLText.escape('Profiling failed: ' + error.message)}</div>`;
+            this.setStatus('Error', error.message);
+        } finally {
+            this.showLoading(false);
+            // DuckDB profiling runs other queries, which closes the result's stream
+            this.refreshResultView();
         }
     }
 
-    dropTable(query) {
-        const match = query.match(/drop\s+table\s+(\w+)/i);
-        if (!match) throw new Error('Invalid DROP TABLE syntax');
-        
-        const tableName = match[1].toLowerCase();
-        if (!this.tables.has(tableName)) {
-            throw new Error(`Table '${tableName}' does not exist`);
+    // DuckDB profiles the whole result through a temp copy; SimpleSQL results, and statements DuckDB
+    // can't use as a subquery (such as PRAGMA), are profiled over the rows loaded so far
+    async profileResult(result) {
+        if (!this.isFallback) {
+            try {
+                await this.query(`CREATE OR REPLACE TEMP TABLE ${PROFILE_TEMP_TABLE} AS SELECT * FROM (${result.sql})`, result.params);
+                try {
+                    return { ...await this.profileRelation(PROFILE_TEMP_TABLE), complete: true };
+                } finally {
+                    await this.query(`DROP TABLE IF EXISTS ${PROFILE_TEMP_TABLE}`);
+                }
+            } catch (error) {
+                console.error('DuckDB profiling failed, using the loaded rows:', error);
+            }
         }
-        
-        this.tables.delete(tableName);
-        return [];
+
+        const types = result.columns.map((_, index) => (result.fields ? result.fields[index].type : null));
+        return {
+            profiles: ColumnProfile.fromRows(result.columns, result.rows, types),
+            rowCount: result.rows.length,
+            complete: result.source.complete && !result.source.hasMore
+        };
     }
-}
 
-class DuckDBWorksheet {
-    constructor() {
-        this.db = null;
-        this.connection = null;
-        this.isInitialized = false;
-        this.isFallback = false;
-        this.fallbackDb = null;
-        this.init();
-        this.bindEvents();
+    // SUMMARIZE gives types, min/max, mean and quartiles; exact null and distinct counts, histograms
+    // and top values come from aggregate queries
+    async profileRelation(relation) {
+        const summary = (await this.query(`
+            SELECT column_name, column_type, min, max, avg, q25, q50, q75
+            FROM (SUMMARIZE SELECT * FROM ${relation})
+        `)).toArray();
+        if (summary.length === 0) return { profiles: [], rowCount: 0 };
+
+        const columns = summary.map(row => this.quoteIdentifier(row.column_name));
+        const counts = (await this.query(`
+            SELECT CAST(count(*) AS DOUBLE) AS total,
+                ${columns.map((column, i) => `CAST(count(${column}) AS DOUBLE) AS v${i}, CAST(count(DISTINCT ${column}) AS DOUBLE) AS d${i}`).join(',\n')}
+            FROM ${relation}
+        `)).toArray()[0];
+
+        const profiles = [];
+        for (const [i, row] of summary.entries()) {
+            const column = columns[i];
+            const numeric = /^(U?(TINY|SMALL|BIG|HUGE)?INT(EGER)?|FLOAT|DOUBLE|REAL|DECIMAL(\(\d+,\s*\d+\))?)$/i.test(row.column_type);
+            const valueCount = counts[`v${i}`];
+            const profile = {
+                name: row.column_name,
+                type: row.column_type,
+                count: counts.total,
+                nulls: counts.total - valueCount,
+                distinct: counts[`d${i}`],
+                numeric,
+                min: numeric ? ColumnProfile.formatNumber(row.min) : row.min,
+                max: numeric ? ColumnProfile.formatNumber(row.max) : row.max,
+                mean: numeric ? ColumnProfile.formatNumber(row.avg) : null,
+                quantiles: numeric && row.q50 !== null ? [row.q25, row.q50, row.q75].map(q => ColumnProfile.formatNumber(q)) : null,
+                top: [],
+                histogram: []
+            };
+
+            if (numeric && valueCount > 0) {
+                const low = Number(row.min);
+                const high = Number(row.max);
+                const bins = low === high ? 1 : ColumnProfile.binCount(valueCount);
+                const width = (high - low) / bins || 1;
+                const binCounts = new Array(bins).fill(0);
+                (await this.query(`
+                    SELECT CAST(least(floor((CAST(${column} AS DOUBLE) - (${low})) / ${width}), ${bins - 1}) AS INTEGER) AS bin,
+                        CAST(count(*) AS DOUBLE) AS n
+                    FROM ${relation} WHERE ${column} IS NOT NULL GROUP BY 1
+                `)).toArray().forEach(({ bin, n }) => {
+                    binCounts[bin] = n;
+                });
+                profile.histogram = ColumnProfile.histogram(low, width, binCounts);
+            } else if (valueCount > 0) {
+                profile.top = (await this.query(`
+                    SELECT CAST(${column} AS VARCHAR) AS value, CAST(count(*) AS DOUBLE) AS n
+                    FROM ${relation} WHERE ${column} IS NOT NULL
+                    GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT ${PROFILE_TOP_VALUES}
+                `)).toArray().map(({ value, n }) => ({ value, count: n }));
+            }
+            profiles.push(profile);
+        }
+        return { profiles, rowCount: counts.total };
     }
 
-    async init() {
-        console.log('DuckDBWorksheet.init() called');
+    // Profile of a catalog table or view; SimpleSQL reads the whole table and profiles it in JavaScript
+    async profileTable(qualified) {
+        const resultsDiv = document.getElementById('results');
+        this.showLoading(true);
+        this.setStatus('Profiling...');
         try {
-            this.setStatus('Initializing DuckDB WASM...');
-            
-            // Try to initialize DuckDB WASM first
-            const duckdb = window.duckdb || window.DuckDB;
-            console.log('DuckDB object:', duckdb);
-            if (!duckdb) {
-                throw new Error('DuckDB WASM library not loaded');
-            }
-            
-            // Use CDN bundles but create a local proxy worker to avoid CORS
-            const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();
-            console.log('Available CDN bundles:', JSDELIVR_BUNDLES);
-            const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);
-            console.log('Selected bundle:', bundle);
-            
-            // Create a proxy worker that imports the CDN worker
-            const workerScript = `importScripts('${bundle.mainWorker}');`;
-            const blob = new Blob([workerScript], { type: 'application/javascript' });
-            const workerUrl = URL.createObjectURL(blob);
-            const worker = new Worker(workerUrl);
-            const logger = new duckdb.ConsoleLogger();
-            this.db = new duckdb.AsyncDuckDB(logger, worker);
-            
-            console.log('Instantiating with:', { mainModule: bundle.mainModule, pthreadWorker: bundle.pthreadWorker });
-            await this.db.instantiate(bundle.mainModule, bundle.pthreadWorker);
-            this.connection = await this.db.connect();
-            
-            this.isInitialized = true;
-            this.isFallback = false;
-            this.setStatus('Ready - DuckDB WASM initialized');
-            document.getElementById('executeBtn').disabled = false;
-            
+            const { profiles, rowCount } = await this.runCancellable(async () => {
+                if (!this.isFallback) return this.profileRelation(qualified);
+                // The catalog knows the declared column types, which the values alone may not show
+                const { columns } = this.catalog.find(obj => this.qualifiedName(obj.schema, obj.name) === qualified);
+                const [table] = await this.fallbackDb.exec(`SELECT * FROM ${qualified}`, { readOnly: true });
+                const rows = table ? table.values : [];
+                const profiles = ColumnProfile.fromRows(columns.map(col => col.name), rows, columns.map(() => null));
+                profiles.forEach((profile, index) => {
+                    profile.type = columns[index].type;
+                });
+                return { profiles, rowCount: rows.length };
+            });
+            resultsDiv.innerHTML = `
+                <div class="success">${HTMLText.escape(`Profile of ${qualified} - ${rowCount.toLocaleString()} row(s), ${profiles.length} column(s)`)}</div>
+                <div class="result-profile">${ColumnProfile.html(profiles)}</div>
+            `;
+            this.setStatus('Ready');
         } catch (error) {
-            console.error('Failed to initialize DuckDB WASM, falling back to SimpleSQL:', error);
-            
-            // Fallback to SimpleSQL
-            try {
-                this.setStatus('Falling back to SimpleSQL engine...');
-                this.fallbackDb = new SimpleSQL();
-                this.isInitialized = true;
-                this.isFallback = true;
-                this.setStatus('Ready - Using SimpleSQL fallback');
-                document.getElementById('executeBtn').disabled = false;
-            } catch (fallbackError) {
-                console.error('Failed to initialize fallback engine:', fallbackError);
-                this.showError('Failed to initialize any SQL engine: ' + fallbackError.message);
-                this.setStatus('Initialization failed');
-            }
+            console.error('Profiling failed:', error);
+            this.showError('Profiling failed: ' + error.message);
+            this.setStatus('Error', error.message);
+        } finally {
+            this.showLoading(false);
         }
     }
 
-    bindEvents() {
-        console.log('Binding events...');
-        const executeBtn = document.getElementById('executeBtn');
-        const clearBtn = document.getElementById('clearBtn');
-        const queryEditor = document.getElementById('queryEditor');
+    displayPlan(plan, executionTime, container) {
+        const title = `${plan.analyze ? 'EXPLAIN ANALYZE' : 'EXPLAIN'} finished in ${executionTime}ms`;
+        const body = plan.text !== undefined
+            ? `<pre class="plan-text">${HTMLText.escape(plan.text)}</pre>`
+            : QueryPlan.html(plan);
+        container.innerHTML = `<div class="success">${HTMLText.escape(title)}</div><div class="plan-view">${body}</div>`;
+    }
 
-        console.log('Execute button:', executeBtn);
-        console.log('Clear button:', clearBtn);
-        
-        executeBtn.addEventListener('click', () => {
-            console.log('Execute button clicked');
-            this.executeQuery();
-        });
-        clearBtn.addEventListener('click', () => this.clearQuery());
-        
-        queryEditor.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'Enter') {
-                e.preventDefault();
-                this.executeQuery();
-            }
+    // Shows a STRUCT/LIST/MAP cell as an expandable tree below the grid
+    inspectValue(inspector, column, row, value, type) {
+        inspector.innerHTML = `
+            <div class="value-inspector-header">
+                <span>${HTMLText.escape(column)} - row ${row + 1}</span>
+                <button class="panel-btn" title="Close">×</button>
+            </div>
+            ${ValueFormatter.treeHtml(value, type)}
+        `;
+        inspector.style.display = '';
+        inspector.querySelector('button').addEventListener('click', () => {
+            inspector.style.display = 'none';
         });
+    }
 
-        executeBtn.disabled = !this.isInitialized;
-        console.log('Execute button disabled:', executeBtn.disabled);
-        console.log('Is initialized:', this.isInitialized);
+    refreshResultView() {
+        if (!this.resultView) return;
+        const { result, grid, summary } = this.resultView;
+        grid.scheduleRender();
+        this.updateRowCount(result, grid, summary);
     }
 
-    async executeQuery() {
-        if (!this.isInitialized) {
-            this.showError('Database is not initialized yet. Please wait...');
-            return;
-        }
+    updateRowCount(result, grid, summary, busy = false) {
+        const loaded = result.rows.length.toLocaleString();
+        grid.truncated = !result.source.complete;
 
-        const query = document.getElementById('queryEditor').value.trim();
-        if (!query) {
-            this.showError('Please enter a SQL query');
-            return;
+        if (result.source.hasMore) {
+            summary.textContent = `first ${loaded} row(s) shown`;
+            grid.setFooter(`${loaded} rows loaded - more are available`, true, busy);
+        } else if (!result.source.complete) {
+            summary.textContent = `first ${loaded} row(s) shown`;
+            grid.setFooter(`${loaded} rows loaded - re-run the query to fetch more`, false);
+        } else {
+            summary.textContent = `${loaded} row(s) returned`;
+            grid.setFooter(`${loaded} rows`, false);
         }
+    }
 
-        const startTime = performance.now();
+    async fetchMoreRows(result, grid, summary, limit = this.getRowLimit()) {
+        this.updateRowCount(result, grid, summary, true);
         this.showLoading(true);
-        this.setStatus('Executing query...');
-
         try {
-            if (this.isFallback) {
-                // Handle SimpleSQL fallback
-                const statements = this.parseStatements(query);
-                let lastResult = null;
-                
-                for (const statement of statements) {
-                    const trimmedStatement = statement.trim();
-                    if (!trimmedStatement) continue;
-                    
-                    if (this.isSelectStatement(trimmedStatement)) {
-                        const result = this.fallbackDb.exec(trimmedStatement);
-                        if (result.length > 0) {
-                            lastResult = {
-                                columns: result[0].columns,
-                                values: result[0].values,
-                                numRows: result[0].values.length
-                            };
-                        }
-                    } else {
-                        this.fallbackDb.run(trimmedStatement);
-                    }
-                }
-                
-                const endTime = performance.now();
-                const executionTime = Math.round(endTime - startTime);
-                
-                if (lastResult) {
-                    this.displayFallbackResults(lastResult, executionTime);
-                } else {
-                    this.showSuccess(`Query executed successfully in ${executionTime}ms`);
-                }
-                
-            } else {
-                // Handle DuckDB WASM
-                const statements = this.parseStatements(query);
-                let lastResult = null;
-                
-                for (const statement of statements) {
-                    const trimmedStatement = statement.trim();
-                    if (!trimmedStatement) continue;
-                    
-                    if (this.isSelectStatement(trimmedStatement)) {
-                        const result = await this.connection.query(trimmedStatement);
-                        lastResult = result;
-                    } else {
-                        await this.connection.query(trimmedStatement);
-                    }
-                }
-                
-                const endTime = performance.now();
-                const executionTime = Math.round(endTime - startTime);
-                
-                if (lastResult) {
-                    this.displayResults(lastResult, executionTime);
-                } else {
-                    this.showSuccess(`Query executed successfully in ${executionTime}ms`);
-                }
-            }
-            
+            await this.runCancellable(() => result.source.next(limit, result.rows, (count) => {
+                grid.setFooter(`${count.toLocaleString()} rows loaded - fetching...`, true, true);
+                grid.scheduleRender();
+            }));
             this.setStatus('Ready');
-            
         } catch (error) {
-            console.error('Query execution error:', error);
-            this.showError('Query Error: ' + error.message);
-            this.setStatus('Error');
+            console.error('Fetching more rows failed:', error);
+            this.setStatus('Error', error.message);
         } finally {
             this.showLoading(false);
+            grid.scheduleRender();
+            this.updateRowCount(result, grid, summary);
         }
+        if (this.checkpointPending && !result.source.hasMore) await this.persistChanges();
     }
 
-    parseStatements(query) {
-        return query.split(';').filter(stmt => stmt.trim());
+    getRowLimit() {
+        const limit = parseInt(document.getElementById('rowLimitInput').value, 10);
+        return Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_ROW_LIMIT) : DEFAULT_ROW_LIMIT;
     }
 
-    isSelectStatement(statement) {
-        const trimmed = statement.trim().toLowerCase();
-        return trimmed.startsWith('select') || 
-               trimmed.startsWith('show') || 
-               trimmed.startsWith('describe') ||
-               trimmed.startsWith('explain') ||
-               trimmed.startsWith('with');
+    loadParameterValues() {
+        try {
+            return JSON.parse(localStorage.getItem(PARAMETER_VALUES_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to read saved parameter values:', error);
+            return {};
+        }
     }
 
-    displayResults(result, executionTime) {
-        const resultsDiv = document.getElementById('results');
-        
-        if (result.numRows === 0) {
-            resultsDiv.innerHTML = `
-                <div class="success">Query executed successfully in ${executionTime}ms - No rows returned</div>
-                <p style="color: #7f8c8d; text-align: center; padding: 2rem;">No data to display</p>
+    saveParameterValues() {
+        if (this.embedded) return;
+        localStorage.setItem(PARAMETER_VALUES_KEY, JSON.stringify(this.parameterValues));
+    }
+
+    // One row per placeholder in the editor; values and types are remembered by name across worksheets
+    renderParameterForm(text) {
+        const panel = document.getElementById('parameterPanel');
+        const fields = document.getElementById('parameterFields');
+        const names = QueryParameters.names(text);
+        if (names.join('\n') === fields.dataset.names) return;
+        fields.dataset.names = names.join('\n');
+
+        panel.style.display = names.length ? '' : 'none';
+        fields.innerHTML = names.map(name => {
+            const entry = this.parameterValues[name] || { type: QueryParameters.guessType(name), value: '' };
+            this.parameterValues[name] = entry;
+            return `
+                <label class="parameter-field" data-name="${HTMLText.escape(name)}">
+                    <span class="parameter-name">${HTMLText.escape(name)}</span>
+                    <select class="parameter-type" title="Type the value is bound as">
+                        ${PARAMETER_TYPES.map(type => `<option ${type === entry.type ? 'selected' : ''}>${type}</option>`).join('')}
+                    </select>
+                    ${this.parameterInputHtml(entry)}
+                </label>
             `;
-            return;
+        }).join('');
+    }
+
+    parameterInputHtml({ type, value }) {
+        // datetime-local inputs want a "T" between date and time
+        const shown = type === 'TIMESTAMP' ? String(value).replace(' ', 'T') : value;
+        const attrs = `class="parameter-value" placeholder="NULL" value="${HTMLText.escape(shown)}"`;
+        switch (type) {
+            case 'INTEGER':
+                return `<input type="number" step="1" ${attrs}>`;
+            case 'DOUBLE':
+                return `<input type="number" step="any" ${attrs}>`;
+            case 'DATE':
+                return `<input type="date" ${attrs}>`;
+            case 'TIMESTAMP':
+                return `<input type="datetime-local" step="1" ${attrs}>`;
+            case 'BOOLEAN':
+                return `<select class="parameter-value">
+                    ${['', 'true', 'false'].map(option => `<option value="${option}" ${option === value ? 'selected' : ''}>${option || 'NULL'}</option>`).join('')}
+                </select>`;
+            default:
+                return `<input type="text" ${attrs}>`;
         }
+    }
 
-        const columns = result.schema.fields.map(field => field.name);
-        const rows = result.toArray().map(row => Object.values(row));
-        
-        this.currentResultData = { columns, rows };
-        
-        let html = `
-            <div class="success">
-                Query executed successfully in ${executionTime}ms - ${result.numRows} row(s) returned
-                <button id="downloadCsvBtn" class="download-btn" onclick="window.worksheet.downloadCSV()">Download CSV</button>
-            </div>
-            <table class="results-table">
-                <thead>
-                    <tr>
-                        ${columns.map(col => `<th>${this.escapeHtml(col)}</th>`).join('')}
-                    </tr>
-                </thead>
-                <tbody>
-        `;
-        
-        rows.forEach(row => {
-            html += '<tr>';
-            row.forEach(cell => {
-                const cellValue = cell === null ? '<em>NULL</em>' : this.escapeHtml(String(cell));
-                html += `<td>${cellValue}</td>`;
-            });
-            html += '</tr>';
+    bindParameterEvents() {
+        const fields = document.getElementById('parameterFields');
+        const update = (e) => {
+            const field = e.target.closest('.parameter-field');
+            if (!field) return;
+            const entry = this.parameterValues[field.dataset.name];
+
+            if (e.target.classList.contains('parameter-type')) {
+                entry.type = e.target.value;
+                // The input control depends on the type, so swap it while keeping the text
+                field.querySelector('.parameter-value').outerHTML = this.parameterInputHtml(entry);
+            } else if (e.target.classList.contains('parameter-value')) {
+                entry.value = e.target.value;
+            }
+            this.saveParameterValues();
+        };
+        fields.addEventListener('input', update);
+        fields.addEventListener('change', update);
+        fields.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.key === 'Enter') {
+                e.preventDefault();
+                this.executeQuery();
+            }
         });
-        
-        html += '</tbody></table>';
-        resultsDiv.innerHTML = html;
     }
 
-    displayFallbackResults(result, executionTime) {
-        const resultsDiv = document.getElementById('results');
-        
-        if (result.numRows === 0) {
-            resultsDiv.innerHTML = `
-                <div class="success">Query executed successfully in ${executionTime}ms - No rows returned</div>
-                <p style="color: #7f8c8d; text-align: center; padding: 2rem;">No data to display</p>
-            `;
-            return;
+    // Editor offsets (absolute, across the whole script), a cleaned message, and catalog names close to an unknown one
+    diagnose(error, sql, offset) {
+        const unknown = ErrorDiagnostics.unknownName(error.message);
+        const range = this.locateInStatement(error, sql, unknown && unknown.name);
+        const diagnostic = {
+            message: ErrorDiagnostics.summary(error.message),
+            suggestions: unknown ? ErrorDiagnostics.suggest(unknown.name, this.knownNames(unknown.kind)) : [],
+            start: null,
+            end: null
+        };
+
+        if (range) {
+            diagnostic.start = offset + range.start;
+            diagnostic.end = offset + range.end;
+            Object.assign(diagnostic, SQLParseError.locate(document.getElementById('queryEditor').value, diagnostic.start));
         }
+        return diagnostic;
+    }
 
-        const columns = result.columns;
-        const rows = result.values;
-        
-        this.currentResultData = { columns, rows };
-        
-        let html = `
-            <div class="success">
-                Query executed successfully in ${executionTime}ms - ${result.numRows} row(s) returned
-                <button id="downloadCsvBtn" class="download-btn" onclick="window.worksheet.downloadCSV()">Download CSV</button>
+    // The engine reports positions in the statement with its parameters bound, so the error is located
+    // there and the range mapped back onto the placeholders as written
+    locateInStatement(error, sql, name) {
+        const spans = [];
+        let bound = sql;
+        if (QueryParameters.find(sql).length > 0) {
+            try {
+                bound = this.isFallback
+                    ? QueryParameters.bindInline(sql, this.parameterValues, spans)
+                    : QueryParameters.bindPrepared(sql, this.parameterValues, spans).sql;
+            } catch (bindError) {
+                return null;
+            }
+        }
+
+        const range = ErrorDiagnostics.locate(error, bound, name);
+        if (!range || spans.length === 0) return range;
+        return {
+            start: QueryParameters.originalOffset(range.start, spans),
+            end: QueryParameters.originalOffset(range.end, spans, true)
+        };
+    }
+
+    knownNames(kind) {
+        const objects = this.catalog || [];
+        if (kind === 'table') return objects.map(object => object.name);
+        if (kind === 'column') return objects.flatMap(object => object.columns.map(column => column.name));
+        return this.editor.functions;
+    }
+
+    errorHtml(prefix, error, diagnostic) {
+        if (!diagnostic) {
+            return `<div class="error">${HTMLText.escape(prefix + error.message)}</div>`;
+        }
+
+        const location = diagnostic.start === null ? '' : ` (line ${diagnostic.line}, column ${diagnostic.column})`;
+        const suggestions = diagnostic.suggestions.length === 0 ? '' : `
+            <div class="did-you-mean">Did you mean
+                ${diagnostic.suggestions.map(name => `<button class="suggestion-btn" data-name="${HTMLText.escape(name)}" ${diagnostic.start === null ? 'disabled' : ''}>${HTMLText.escape(name)}</button>`).join(' or ')}?
             </div>
-            <table class="results-table">
-                <thead>
-                    <tr>
-                        ${columns.map(col => `<th>${this.escapeHtml(col)}</th>`).join('')}
-                    </tr>
-                </thead>
-                <tbody>
         `;
-        
-        rows.forEach(row => {
-            html += '<tr>';
-            row.forEach(cell => {
-                const cellValue = cell === null ? '<em>NULL</em>' : this.escapeHtml(String(cell));
-                html += `<td>${cellValue}</td>`;
+        return `<div class="error">${HTMLText.escape(prefix + diagnostic.message + location)}${suggestions}</div>`;
+    }
+
+    // A suggestion replaces the underlined name, as long as the editor hasn't changed since the run
+    bindSuggestions(container, diagnostic) {
+        container.querySelectorAll('.suggestion-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const current = this.editor.diagnostic;
+                if (!current || current.start !== diagnostic.start || current.end !== diagnostic.end) {
+                    this.setStatus('The query has changed since it ran - suggestion not applied');
+                    return;
+                }
+                const name = button.dataset.name;
+                this.editor.replaceRange(diagnostic.start, diagnostic.end, /^[A-Za-z_][\w$]*$/.test(name) ? name : this.quoteIdentifier(name));
             });
-            html += '</tr>';
         });
-        
-        html += '</tbody></table>';
-        resultsDiv.innerHTML = html;
     }
 
     showError(message) {
         const resultsDiv = document.getElementById('results');
-        resultsDiv.innerHTML = `<div class="error">${this.escapeHtml(message)}</div>`;
+        resultsDiv.innerHTML = `<div class="error">${HTMLText.escape(message)}</div>`;
     }
 
     showSuccess(message) {
         const resultsDiv = document.getElementById('results');
-        resultsDiv.innerHTML = `<div class="success">${this.escapeHtml(message)}</div>`;
+        resultsDiv.innerHTML = `<div class="success">${HTMLText.escape(message)}</div>`;
     }
 
     showLoading(show) {
@@ -549,10 +7459,31 @@ class DuckDBWorksheet {
         loading.style.display = show ? 'block' : 'none';
         executeBtn.disabled = show || !this.isInitialized;
         executeBtn.textContent = show ? 'Executing...' : 'Execute Query';
+        document.getElementById('runStatementBtn').disabled = show || !this.isInitialized;
+        this.updateExplainButtons(show);
+        document.getElementById('cancelBtn').style.display = show ? '' : 'none';
+    }
+
+    // Plans come from DuckDB's planner, so on the SimpleSQL fallback the buttons stay off and say why
+    updateExplainButtons(busy = false) {
+        ['explainBtn', 'explainAnalyzeBtn'].forEach((id) => {
+            const button = document.getElementById(id);
+            if (!button.dataset.title) button.dataset.title = button.title;
+            button.disabled = busy || !this.isInitialized || this.isFallback;
+            button.title = this.isFallback ? 'Query plans need the DuckDB engine - SimpleSQL has no query planner' : button.dataset.title;
+        });
     }
 
+    // Deleting through execCommand keeps the text on the editor's undo stack (Ctrl+Z brings it back)
     clearQuery() {
-        document.getElementById('queryEditor').value = '';
+        const editor = document.getElementById('queryEditor');
+        editor.focus();
+        editor.select();
+        if (!document.execCommand || !document.execCommand('delete')) {
+            editor.value = '';
+        }
+        this.sheets.save();
+        this.clearStatementHighlight();
         document.getElementById('results').innerHTML = `
             <p style="color: #7f8c8d; text-align: center; padding: 2rem;">
                 Execute a query to see results here
@@ -566,38 +7497,199 @@ class DuckDBWorksheet {
         document.getElementById('executionTime').textContent = additional;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    quoteIdentifier(name) {
+        return '"' + String(name).replace(/"/g, '""') + '"';
+    }
+
+    quoteLiteral(value) {
+        return "'" + String(value).replace(/'/g, "''") + "'";
     }
 
-    downloadCSV() {
-        if (!this.currentResultData) {
-            alert('No query results available to download');
+    async exportResults() {
+        const result = this.currentResult;
+        if (!result) {
+            alert('No query results available to export');
             return;
         }
 
-        const { columns, rows } = this.currentResultData;
-        
-        let csvContent = columns.map(col => this.escapeCsv(col)).join(',') + '\n';
-        
-        rows.forEach(row => {
-            const csvRow = row.map(cell => {
-                if (cell === null || cell === undefined) {
-                    return '';
+        const options = await this.showExportDialog(result);
+        if (!options) return;
+
+        this.setStatus('Exporting...');
+        try {
+            const format = EXPORT_FORMATS[options.format];
+            if (options.format === 'parquet') {
+                this.downloadBlob(await this.exportParquet(result), options.fileName, format.mimeType);
+            } else {
+                const { rows, truncated } = options.fullResult ? await this.fullResultRows(result) : { rows: result.rows, truncated: false };
+                const args = [result.columns, result.fields, rows];
+
+                switch (options.format) {
+                    case 'csv':
+                        this.downloadBlob(ResultExporter.toDelimited(...args, options.csv), options.fileName, format.mimeType);
+                        break;
+                    case 'json':
+                        this.downloadBlob(ResultExporter.toJSON(...args), options.fileName, format.mimeType);
+                        break;
+                    case 'ndjson':
+                        this.downloadBlob(ResultExporter.toNDJSON(...args), options.fileName, format.mimeType);
+                        break;
+                    case 'xlsx':
+                        this.downloadBlob(ResultExporter.toXlsx(...args), options.fileName, format.mimeType);
+                        break;
+                    case 'markdown':
+                        this.downloadBlob(ResultExporter.toMarkdown(...args), options.fileName, format.mimeType);
+                        break;
+                    case 'clipboard':
+                        await navigator.clipboard.writeText(ResultExporter.toDelimited(...args, { delimiter: '\t', header: true }));
+                        break;
                 }
-                return this.escapeCsv(String(cell));
-            }).join(',');
-            csvContent += csvRow + '\n';
+                this.setStatus('Ready', truncated
+                    ? `Exported the first ${rows.length.toLocaleString()} row(s) - full exports stop at ${MAX_ROW_LIMIT.toLocaleString()} rows`
+                    : `Exported ${rows.length.toLocaleString()} row(s)`);
+                return;
+            }
+            this.setStatus('Ready', 'Exported full result as Parquet');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.setStatus('Error');
+            alert('Export failed: ' + error.message);
+        }
+    }
+
+    showExportDialog(result) {
+        const modal = document.getElementById('exportModal');
+        const body = document.getElementById('exportModalBody');
+        const confirmBtn = document.getElementById('exportConfirmBtn');
+        const cancelBtn = document.getElementById('exportCancelBtn');
+        const loaded = result.rows.length.toLocaleString();
+
+        body.innerHTML = `
+            <div class="export-options">
+                <label>Format
+                    <select id="exportFormat">
+                        ${Object.entries(EXPORT_FORMATS).map(([key, format]) => `
+                            <option value="${key}" ${key === 'parquet' && this.isFallback ? 'disabled' : ''}>${format.label}${key === 'parquet' && this.isFallback ? ' (requires DuckDB)' : ''}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label id="exportFileNameRow">File name <input id="exportFileName" type="text" value="query_results.csv"></label>
+                <div id="exportCsvOptions" class="export-row">
+                    <label>Delimiter
+                        <select id="exportDelimiter">
+                            <option value=",">Comma</option>
+                            <option value=";">Semicolon</option>
+                            <option value="&#9;">Tab</option>
+                            <option value="|">Pipe</option>
+                        </select>
+                    </label>
+                    <label><input id="exportHeader" type="checkbox" checked> Header row</label>
+                </div>
+                <div id="exportScope" class="export-row">
+                    ${result.source.complete ? `<span>All ${loaded} row(s)</span>` : `
+                        <label><input type="radio" name="exportScope" value="full" checked> Full result (up to ${MAX_ROW_LIMIT.toLocaleString()} rows)</label>
+                        <label><input type="radio" name="exportScope" value="loaded"> Loaded rows only (${loaded})</label>
+                    `}
+                </div>
+                <div id="exportParquetNote" class="export-note">Parquet is written by DuckDB from the full query result.</div>
+            </div>
+        `;
+
+        const formatSelect = document.getElementById('exportFormat');
+        const fileNameInput = document.getElementById('exportFileName');
+        const updateFormat = () => {
+            const key = formatSelect.value;
+            const { extension } = EXPORT_FORMATS[key];
+            document.getElementById('exportFileNameRow').style.display = extension ? '' : 'none';
+            document.getElementById('exportCsvOptions').style.display = key === 'csv' ? '' : 'none';
+            document.getElementById('exportScope').style.display = key === 'parquet' ? 'none' : '';
+            document.getElementById('exportParquetNote').style.display = key === 'parquet' ? '' : 'none';
+            if (extension) fileNameInput.value = fileNameInput.value.replace(/(\.[^.]*)?$/, `.${extension}`);
+        };
+        formatSelect.addEventListener('change', updateFormat);
+        updateFormat();
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const close = options => {
+                modal.style.display = 'none';
+                confirmBtn.onclick = null;
+                cancelBtn.onclick = null;
+                resolve(options);
+            };
+
+            cancelBtn.onclick = () => close(null);
+            confirmBtn.onclick = () => {
+                const format = formatSelect.value;
+                const fileName = fileNameInput.value.trim() || `query_results.${EXPORT_FORMATS[format].extension}`;
+                const scope = body.querySelector('input[name="exportScope"]:checked');
+                close({
+                    format,
+                    fileName,
+                    fullResult: !scope || scope.value === 'full',
+                    csv: {
+                        delimiter: document.getElementById('exportDelimiter').value,
+                        header: document.getElementById('exportHeader').checked
+                    }
+                });
+            };
+        });
+    }
+
+    // Everything the query returns, not just the rows fetched so far, up to MAX_ROW_LIMIT rows
+    async fullResultRows(result) {
+        if (result.source.complete) return { rows: result.rows, truncated: false };
+
+        const progress = (count) => this.setStatus('Exporting...', `${count.toLocaleString()} rows`);
+        if (result.source.hasMore) {
+            this.showLoading(true);
+            try {
+                await this.runCancellable(() => result.source.next(Math.max(0, MAX_ROW_LIMIT - result.rows.length), result.rows, progress));
+            } finally {
+                this.showLoading(false);
+                this.refreshResultView();
+            }
+            return { rows: result.rows, truncated: result.source.hasMore };
+        }
+
+        // A later query closed the stream, so run the statement again and stream it
+        const rows = [];
+        await this.runCancellable(async () => {
+            await this.releaseRowSource();
+            let prepared = null;
+            let reader;
+            if (result.params.length > 0) {
+                prepared = await this.connection.prepare(result.sql);
+                reader = await prepared.send(...result.params);
+            } else {
+                reader = await this.connection.send(result.sql);
+            }
+            await reader.open();
+            this.rowSource = new ArrowRowSource(reader, prepared);
+            await this.rowSource.next(MAX_ROW_LIMIT, rows, progress);
         });
+        const truncated = this.rowSource.hasMore;
+        await this.releaseRowSource();
+        return { rows, truncated };
+    }
 
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    async exportParquet(result) {
+        const path = `export_${Date.now()}.parquet`;
+        await this.runCancellable(() => this.query(`COPY (${result.sql}) TO ${this.quoteLiteral(path)} (FORMAT PARQUET)`, result.params));
+        try {
+            return await this.db.copyFileToBuffer(path);
+        } finally {
+            await this.db.dropFile(path);
+        }
+    }
+
+    downloadBlob(data, fileName, mimeType) {
+        const blob = new Blob([data], { type: mimeType });
         const link = document.createElement('a');
         const url = URL.createObjectURL(blob);
         
         link.setAttribute('href', url);
-        link.setAttribute('download', 'query_results.csv');
+        link.setAttribute('download', fileName);
         link.style.visibility = 'hidden';
         document.body.appendChild(link);
         link.click();
@@ -605,23 +7697,16 @@ class DuckDBWorksheet {
         URL.revokeObjectURL(url);
     }
 
-    escapeCsv(value) {
-        if (typeof value !== 'string') {
-            value = String(value);
-        }
-        
-        if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
-            return '"' + value.replace(/"/g, '""') + '"';
-        }
-        return value;
-    }
-
     async cleanup() {
         try {
             if (this.connection) {
                 await this.connection.close();
                 this.connection = null;
             }
+            if (this.catalogConnection) {
+                await this.catalogConnection.close();
+                this.catalogConnection = null;
+            }
             if (this.db) {
                 await this.db.terminate();
                 this.db = null;
@@ -632,19 +7717,34 @@ class DuckDBWorksheet {
     }
 }
 
+// The SimpleSQL worker loads this same script; currentScript is only set while it first runs
+const APP_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
 function initializeApp() {
     console.log('Initializing app...');
-    const worksheet = new DuckDBWorksheet();
+    const shared = ShareLink.fromLocation(window.location);
+    if (shared && shared.embed) document.body.classList.add('embed');
+
+    const worksheet = new DuckDBWorksheet({ embedded: Boolean(shared && shared.embed) });
     window.worksheet = worksheet;
     console.log('DuckDBWorksheet created:', worksheet);
+
+    if (shared) {
+        worksheet.openShared(shared);
+        // The link has been used; a reload should not open it again
+        history.replaceState(null, '', window.location.pathname + window.location.search + (shared.embed ? window.location.hash : ''));
+    }
     
     window.addEventListener('beforeunload', () => {
         worksheet.cleanup();
     });
 }
 
-// Check if DOM is already loaded or wait for it
-if (document.readyState === 'loading') {
+// app.js is also loaded with importScripts() inside the SimpleSQL worker, where there is no DOM
+if (typeof document === 'undefined') {
+    SimpleSQLClient.serve(self);
+} else if (document.readyState === 'loading') {
+    // Check if DOM is already loaded or wait for it
     console.log('DOM still loading, waiting for DOMContentLoaded...');
     document.addEventListener('DOMContentLoaded', initializeApp);
 } else {
@@ -0,0 +1,64 @@
+// Service worker that keeps the worksheet and its DuckDB bundles available offline.
+// The page and app.js are fetched network-first, so updates show up as soon as the network is back;
+// files under node_modules and from the jsDelivr CDN only change with a dependency upgrade, so they
+// are served cache-first (bump CACHE_NAME when upgrading @duckdb/duckdb-wasm). index.html waits for this
+// worker to control the page before importing DuckDB, so the bundles it picks are cached on the first visit.
+const CACHE_NAME = 'wrksheet-v1';
+const APP_SHELL = ['./', 'index.html', 'app.js'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // HEAD comes from the page checking that a bundle file exists before starting DuckDB
+    if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+    const fromCdn = url.hostname === 'cdn.jsdelivr.net';
+    if (url.origin !== self.location.origin && !fromCdn) return;
+
+    const versioned = fromCdn || url.pathname.includes('/node_modules/');
+    event.respondWith(versioned ? cacheFirst(event) : networkFirst(event));
+});
+
+async function cacheFirst(event) {
+    const { request } = event;
+    const cached = await caches.match(request, { ignoreMethod: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    event.waitUntil(remember(request, response.clone()));
+    return response;
+}
+
+async function networkFirst(event) {
+    const { request } = event;
+    try {
+        const response = await fetch(request);
+        event.waitUntil(remember(request, response.clone()));
+        return response;
+    } catch (error) {
+        // A query string added to the page's address doesn't change the page; any cached copy will do
+        const cached = await caches.match(request, { ignoreMethod: true, ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Runs after the response has gone to the page; the CDN worker, pulled in with importScripts() from a blob,
+// comes back as an opaque response
+async function remember(request, response) {
+    if (request.method !== 'GET' || !(response.ok || response.type === 'opaque')) return;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response);
+}